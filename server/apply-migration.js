@@ -2,6 +2,7 @@ const mysql = require('mysql2/promise');
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const { splitSqlStatements } = require('./utils/sqlStatements.js');
 
 // Load environment variables
 dotenv.config({ path: path.resolve('./.env') });
@@ -31,15 +32,13 @@ async function applyMigrations() {
 
     console.log(`Connected to database ${MYSQL_CONFIG.database}`);
 
-    // Read the migration file
-    const migrationPath = path.resolve('./migrations/add-updated-at-to-agents.sql');
+    // Read the migration file (defaults to the agents updated_at migration)
+    const migrationFile = process.argv[2] || './migrations/add-updated-at-to-agents.sql';
+    const migrationPath = path.resolve(migrationFile);
     const migrationSql = fs.readFileSync(migrationPath, 'utf8');
 
-    // Split into statements
-    const statements = migrationSql
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0);
+    // Split into statements, ignoring comments so a ';' inside one doesn't cut a statement short
+    const statements = splitSqlStatements(migrationSql);
 
     // Execute each statement
     for (const statement of statements) {
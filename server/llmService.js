@@ -1,113 +1,80 @@
-"use strict";
-var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
-    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
-    return new (P || (P = Promise))(function (resolve, reject) {
-        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
-        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
-        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
-        step((generator = generator.apply(thisArg, _arguments || [])).next());
-    });
-};
-var __generator = (this && this.__generator) || function (thisArg, body) {
-    var _ = { label: 0, sent: function () { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
-    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function () { return this; }), g;
-    function verb(n) { return function (v) { return step([n, v]); }; }
-    function step(op) {
-        if (f) throw new TypeError("Generator is already executing.");
-        while (g && (g = 0, op[0] && (_ = 0)), _) try {
-            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
-            if (y = 0, t) op = [op[0] & 2, t.value];
-            switch (op[0]) {
-                case 0: case 1: t = op; break;
-                case 4: _.label++; return { value: op[1], done: false };
-                case 5: _.label++; y = op[1]; op = [0]; continue;
-                case 7: op = _.ops.pop(); _.trys.pop(); continue;
-                default:
-                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
-                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
-                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
-                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
-                    if (t[2]) _.ops.pop();
-                    _.trys.pop(); continue;
-            }
-            op = body.call(thisArg, _);
-        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
-        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
-    }
-};
-Object.defineProperty(exports, "__esModule", { value: true });
-exports.LLMService = void 0;
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 
+const DEFAULT_MODEL = 'models/gemini-2.5-flash';
+
 // Unified LLM service that supports Gemini models using GoogleGenerativeAI SDK
-var LLMService = /** @class */ (function () {
-    function LLMService(geminiApiKey) {
+class LLMService {
+    constructor(geminiApiKey) {
         this.genAI = null;
         if (geminiApiKey) {
             this.genAI = new GoogleGenerativeAI(geminiApiKey);
         }
     }
-    LLMService.prototype.isGeminiModel = function (modelId) {
+
+    isGeminiModel(modelId) {
         return modelId.startsWith('gemini-');
-    };
-    LLMService.prototype.generateContent = function (request) {
-        return __awaiter(this, void 0, void 0, function () {
-            var modelName, model, prompt, result, responseText, error_1;
-            var _a;
-            return __generator(this, function (_b) {
-                switch (_b.label) {
-                    case 0:
-                        // Handle the case where genAI might be null
-                        if (!this.genAI) {
-                            throw new Error('Gemini client not initialized. Please provide a Gemini API key.');
-                        }
-                        _b.label = 1;
-                    case 1:
-                        _b.trys.push([1, 3, , 4]);
+    }
 
-                        modelName = request.model || 'models/gemini-2.5-flash';
+    getModel(request) {
+        // Handle the case where genAI might be null
+        if (!this.genAI) {
+            throw new Error('Gemini client not initialized. Please provide a Gemini API key.');
+        }
 
-                        // Use getGenerativeModel
-                        model = this.genAI.getGenerativeModel({
-                            model: modelName,
-                            systemInstruction: (_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction
-                        });
+        return this.genAI.getGenerativeModel({
+            model: request.model || DEFAULT_MODEL,
+            systemInstruction: request.config?.systemInstruction,
+            tools: request.config?.tools
+        });
+    }
 
-                        // Convert 'contents' (which might be multi-turn chat history) to correct format if needed
-                        // But generateContent usually takes a string or parts.
-                        // If 'contents' is an array of messages, we might need to use startChat().sendMessage() 
-                        // or pass just the last message if we are stateless? 
-                        // Wait, GoogleGenerativeAI.generateContent() is for single turn.
-                        // But request.contents is likely the whole history?
-                        // If it's history, we should use array of { role: 'user'|'model', parts: [...] }
+    /**
+     * Generate a complete response. request.contents is the multi-turn history as
+     * [{ role: 'user' | 'model', parts: [...] }].
+     * @returns {Promise<{ text, functionCalls, usageMetadata }>} - functionCalls: [{ name, args }]
+     * when the model called declared tools
+     */
+    async generateContent(request) {
+        const model = this.getModel(request);
 
-                        // Using { contents: [...] } format for multi-turn history
-                        return [4 /*yield*/, model.generateContent({ contents: request.contents })];
-                    case 2:
-                        result = _b.sent();
-                        responseText = '';
+        try {
+            const result = await model.generateContent({ contents: request.contents });
+            const response = result?.response;
 
-                        if (result && result.response) {
-                            responseText = result.response.text();
-                        }
+            return {
+                text: response ? response.text() : '',
+                functionCalls: (response && response.functionCalls()) || [],
+                usageMetadata: response?.usageMetadata
+            };
+        } catch (error) {
+            console.error('Error calling Gemini API:', error);
+            throw error;
+        }
+    }
 
-                        return [2 /*return*/, { text: responseText }];
-                    case 3:
-                        error_1 = _b.sent();
-                        console.error('Error calling Gemini API:', error_1);
-                        throw error_1;
-                    case 4: return [2 /*return*/];
-                }
-            });
-        });
-    };
+    /**
+     * Stream a response. Resolves once the request is accepted with { stream, response }:
+     * stream yields text chunks as they arrive, response resolves to
+     * { text, functionCalls, usageMetadata } when the reply is complete.
+     */
+    async generateContentStream(request) {
+        const model = this.getModel(request);
+        const result = await model.generateContentStream({ contents: request.contents });
 
-    // Stub for stream - could be implemented if needed
-    LLMService.prototype.generateContentStream = function (request) {
-        throw new Error("Stream not implemented in this version");
-    };
+        return {
+            stream: (async function* () {
+                for await (const chunk of result.stream) {
+                    const text = chunk.text();
+                    if (text) yield text;
+                }
+            })(),
+            response: result.response.then(response => ({
+                text: response.text(),
+                functionCalls: response.functionCalls() || [],
+                usageMetadata: response.usageMetadata
+            }))
+        };
+    }
+}
 
-    return LLMService;
-}());
-exports.LLMService = LLMService;
-exports.default = LLMService;
+module.exports = { LLMService };
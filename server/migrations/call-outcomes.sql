@@ -0,0 +1,12 @@
+-- Post-call outcome extraction
+-- After a call the transcript is run through the LLM against the agent's outcome fields
+-- (settings.outcomeFields). outcome holds the typed values and disposition is one of
+-- converted, not_interested, callback, wrong_number or other.
+
+ALTER TABLE calls ADD COLUMN disposition VARCHAR(30) NULL;
+ALTER TABLE calls ADD COLUMN outcome JSON NULL;
+ALTER TABLE calls ADD COLUMN outcome_extracted_at TIMESTAMP NULL;
+ALTER TABLE calls ADD INDEX idx_calls_user_disposition (user_id, disposition);
+
+ALTER TABLE campaign_contacts ADD COLUMN disposition VARCHAR(30) NULL;
+ALTER TABLE campaign_contacts ADD COLUMN outcome JSON NULL;
@@ -0,0 +1,4 @@
+-- Live call transfers to a human agent
+
+ALTER TABLE calls ADD COLUMN transferred_to VARCHAR(255) NULL;
+ALTER TABLE calls ADD COLUMN transferred_at TIMESTAMP NULL;
@@ -0,0 +1,20 @@
+-- Caller-ID pools for campaigns
+-- A campaign dials from the numbers in campaign_caller_numbers, falling back to
+-- campaigns.phone_number_id when the pool is empty.
+-- caller_rotation: round_robin or least_used (fewest calls today)
+-- local_presence prefers a number sharing the contact's country and area code.
+-- daily_call_cap limits outbound calls per number per day across all campaigns (NULL = no cap).
+
+CREATE TABLE IF NOT EXISTS campaign_caller_numbers (
+    campaign_id VARCHAR(36) NOT NULL,
+    phone_number_id VARCHAR(36) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (campaign_id, phone_number_id)
+);
+
+ALTER TABLE campaign_settings ADD COLUMN caller_rotation VARCHAR(20) NOT NULL DEFAULT 'round_robin';
+ALTER TABLE campaign_settings ADD COLUMN local_presence BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE user_twilio_numbers ADD COLUMN daily_call_cap INT NULL;
+
+ALTER TABLE calls ADD INDEX idx_calls_from_started (from_number, started_at);
@@ -0,0 +1,8 @@
+-- Concurrent campaign dialing
+-- A campaign keeps up to campaign_settings.max_concurrent_calls calls in flight, and all
+-- of a user's campaigns together stay under users.max_concurrent_calls.
+-- user_twilio_numbers.max_concurrent_calls caps calls placed from one caller number (NULL = no cap).
+
+ALTER TABLE campaign_settings ADD COLUMN max_concurrent_calls INT NOT NULL DEFAULT 1;
+ALTER TABLE users ADD COLUMN max_concurrent_calls INT NOT NULL DEFAULT 10;
+ALTER TABLE user_twilio_numbers ADD COLUMN max_concurrent_calls INT NULL;
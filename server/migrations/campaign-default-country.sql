@@ -0,0 +1,5 @@
+-- Default country of a campaign's contacts
+-- Set from the defaultCountry of the last contact import. Do-Not-Call checks use it so
+-- entries saved in national format ("5551234567") still match E.164 contacts ("+15551234567").
+
+ALTER TABLE campaign_settings ADD COLUMN default_country VARCHAR(2) NULL;
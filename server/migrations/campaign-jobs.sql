@@ -0,0 +1,24 @@
+-- Durable campaign jobs
+-- One row per campaign that has been started. Workers claim a running job by writing
+-- their worker_id and refresh heartbeat_at while dialing. On boot, running jobs whose
+-- heartbeat has gone stale are picked up again.
+-- status: running, paused, completed, failed
+
+CREATE TABLE IF NOT EXISTS campaign_jobs (
+    id VARCHAR(36) PRIMARY KEY,
+    campaign_id VARCHAR(36) NOT NULL,
+    user_id VARCHAR(36) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    worker_id VARCHAR(100) NULL,
+    heartbeat_at TIMESTAMP NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_campaign_job (campaign_id),
+    INDEX idx_campaign_jobs_status (status, heartbeat_at)
+);
+
+-- Campaigns that were running before jobs existed resume like any other
+INSERT IGNORE INTO campaign_jobs (id, campaign_id, user_id, status)
+SELECT UUID(), id, user_id, 'running' FROM campaigns WHERE status = 'running';
@@ -0,0 +1,11 @@
+-- Per-campaign retry rules
+-- retry_statuses is a comma-separated list of call outcomes that put a contact back
+-- in the queue: busy, no-answer, failed, canceled, voicemail
+-- next_attempt_at holds back a requeued contact until the retry delay has passed
+
+ALTER TABLE campaign_settings ADD COLUMN max_attempts INT NOT NULL DEFAULT 1;
+ALTER TABLE campaign_settings ADD COLUMN retry_delay_minutes INT NOT NULL DEFAULT 60;
+ALTER TABLE campaign_settings ADD COLUMN retry_statuses VARCHAR(255) NOT NULL DEFAULT 'busy,no-answer';
+
+ALTER TABLE campaign_contacts ADD COLUMN next_attempt_at DATETIME NULL;
+ALTER TABLE campaign_contacts ADD INDEX idx_campaign_next_attempt (campaign_id, status, next_attempt_at);
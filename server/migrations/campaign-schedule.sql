@@ -0,0 +1,22 @@
+-- Campaign scheduling and calling-hour windows
+-- Calls are only placed between scheduled_start_at and scheduled_end_at, and within
+-- calling_window_start..calling_window_end on calling_days (ISO weekdays, 1 = Monday)
+-- in the contact's timezone. A contact without a timezone uses the campaign's, then the agent's.
+-- A window that ends before it starts runs overnight, and one that ends when it starts covers the whole day.
+
+ALTER TABLE campaign_settings ADD COLUMN scheduled_start_at DATETIME NULL;
+ALTER TABLE campaign_settings ADD COLUMN scheduled_end_at DATETIME NULL;
+
+-- Existing campaigns keep calling at any time
+ALTER TABLE campaign_settings ADD COLUMN calling_window_start VARCHAR(5) NOT NULL DEFAULT '00:00';
+ALTER TABLE campaign_settings ADD COLUMN calling_window_end VARCHAR(5) NOT NULL DEFAULT '00:00';
+ALTER TABLE campaign_settings ADD COLUMN calling_days VARCHAR(20) NOT NULL DEFAULT '1,2,3,4,5,6,7';
+
+-- New campaigns call on weekdays from 09:00 to 20:00
+ALTER TABLE campaign_settings ALTER COLUMN calling_window_start SET DEFAULT '09:00';
+ALTER TABLE campaign_settings ALTER COLUMN calling_window_end SET DEFAULT '20:00';
+ALTER TABLE campaign_settings ALTER COLUMN calling_days SET DEFAULT '1,2,3,4,5';
+
+ALTER TABLE campaign_settings ADD COLUMN timezone VARCHAR(64) NULL;
+
+ALTER TABLE campaign_contacts ADD COLUMN timezone VARCHAR(64) NULL;
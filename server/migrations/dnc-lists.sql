@@ -0,0 +1,9 @@
+-- Per-user Do-Not-Call lists
+-- The original table made phone globally unique, so one user's entry blocked the
+-- number for everyone. Uniqueness is now per user.
+-- source: manual, import or call (added by the agent when the callee asked not to be called)
+
+ALTER TABLE dncs DROP INDEX unique_phone;
+ALTER TABLE dncs ADD UNIQUE KEY unique_user_phone (user_id, phone);
+ALTER TABLE dncs ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'manual';
+ALTER TABLE dncs ADD COLUMN reason VARCHAR(255) NULL;
@@ -0,0 +1,24 @@
+-- Server-side text extraction for knowledge base uploads
+-- provenance: JSON with the page and section headings found in the extracted text
+-- Re-uploading a document keeps its id (so agent links still work) and archives
+-- the previous content in document_versions
+
+ALTER TABLE documents ADD COLUMN format VARCHAR(20) NULL;
+ALTER TABLE documents ADD COLUMN provenance JSON NULL;
+ALTER TABLE documents ADD COLUMN version INT NOT NULL DEFAULT 1;
+ALTER TABLE documents ADD COLUMN updated_at TIMESTAMP NULL;
+
+CREATE TABLE IF NOT EXISTS document_versions (
+    id VARCHAR(36) PRIMARY KEY,
+    document_id VARCHAR(36) NOT NULL,
+    version INT NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    format VARCHAR(20) NULL,
+    file_size INT NULL,
+    content LONGTEXT,
+    provenance JSON NULL,
+    uploaded_at TIMESTAMP NULL,
+    archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_document_version (document_id, version)
+);
@@ -0,0 +1,5 @@
+-- Keypad digits exchanged during a call, stored next to the transcript turns
+-- user_dtmf: digits pressed by the caller, agent_dtmf: tones sent by the agent
+
+ALTER TABLE call_segments ADD COLUMN user_dtmf VARCHAR(64) NULL;
+ALTER TABLE call_segments ADD COLUMN agent_dtmf VARCHAR(64) NULL;
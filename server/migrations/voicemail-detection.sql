@@ -0,0 +1,9 @@
+-- Answering machine detection results for outbound calls
+-- answered_by holds Twilio's AnsweredBy value (human, machine_start, machine_end_beep, fax, unknown, ...)
+-- calls.status keeps Twilio's call status. A contact reached by a machine ends with
+-- campaign_contacts.status = 'voicemail' (VARCHAR, no schema change) and counts as a failed call.
+
+ALTER TABLE calls ADD COLUMN answered_by VARCHAR(50) NULL;
+ALTER TABLE calls ADD COLUMN voicemail_action VARCHAR(20) NULL;
+
+ALTER TABLE campaign_contacts ADD COLUMN answered_by VARCHAR(50) NULL;
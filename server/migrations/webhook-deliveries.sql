@@ -0,0 +1,21 @@
+-- Delivery log for outgoing webhooks (end-of-call, etc.)
+-- status: pending, retrying, delivered, failed
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NULL,
+    agent_id VARCHAR(36) NULL,
+    call_id VARCHAR(64) NULL,
+    event_type VARCHAR(50) NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    payload LONGTEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    last_status_code INT NULL,
+    last_error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP NULL,
+    delivered_at TIMESTAMP NULL,
+    INDEX idx_webhook_deliveries_user (user_id, created_at),
+    INDEX idx_webhook_deliveries_call (call_id)
+);
@@ -0,0 +1,9 @@
+-- Durable webhook retries
+-- next_attempt_at is when a pending or retrying delivery is next sent. The retry worker
+-- on any server sends due deliveries, so retries survive a restart.
+
+ALTER TABLE webhook_deliveries ADD COLUMN next_attempt_at DATETIME NULL;
+ALTER TABLE webhook_deliveries ADD INDEX idx_webhook_deliveries_due (status, next_attempt_at);
+
+-- Deliveries left retrying by an earlier restart are sent on the next scan
+UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE status IN ('pending', 'retrying');
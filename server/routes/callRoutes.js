@@ -1,10 +1,23 @@
 const express = require('express');
 const router = express.Router();
 
+// Most rows a single CSV export returns
+const MAX_EXPORT_ROWS = 10000;
+
+const parseOutcome = (outcome) => (typeof outcome === 'string' ? JSON.parse(outcome) : outcome) || null;
+
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 /**
  * Get call history for a specific user
  * GET /api/calls/:userId
- * Query params: limit, offset, agentId, callType, startDate, endDate
+ * Query params: limit, offset, agentId, callType, startDate, endDate,
+ * disposition (comma separated), outcome[field]=value (matches an extracted outcome field),
+ * format=csv (download every matching call, up to MAX_EXPORT_ROWS, with one column per outcome field)
  */
 router.get('/:userId', async (req, res) => {
     try {
@@ -15,7 +28,10 @@ router.get('/:userId', async (req, res) => {
             agentId,
             callType,
             startDate,
-            endDate
+            endDate,
+            disposition,
+            outcome = {},
+            format
         } = req.query;
 
         const mysqlPool = req.app.get('mysqlPool');
@@ -45,6 +61,23 @@ router.get('/:userId', async (req, res) => {
             filterParams.push(endDate);
         }
 
+        if (disposition) {
+            const dispositions = String(disposition).split(',').map(d => d.trim()).filter(Boolean);
+            whereConditions.push(`c.disposition IN (${dispositions.map(() => '?').join(', ')})`);
+            filterParams.push(...dispositions);
+        }
+
+        if (typeof outcome !== 'object' || Array.isArray(outcome)) {
+            return res.status(400).json({ success: false, message: 'outcome filters must look like outcome[field]=value' });
+        }
+        for (const [field, value] of Object.entries(outcome)) {
+            if (!/^[A-Za-z_]\w*$/.test(field)) {
+                return res.status(400).json({ success: false, message: `Invalid outcome field: ${field}` });
+            }
+            whereConditions.push('JSON_UNQUOTE(JSON_EXTRACT(c.outcome, ?)) = ?');
+            filterParams.push(`$.${field}`, String(value));
+        }
+
         const whereClause = whereConditions.join(' AND ');
 
         // Get total count
@@ -56,8 +89,9 @@ router.get('/:userId', async (req, res) => {
         const selectParams = [...filterParams];
 
         // Ensure limit/offset are numbers to prevent injection
-        const limitNum = parseInt(limit) || 50;
-        const offsetNum = parseInt(offset) || 0;
+        const exporting = format === 'csv';
+        const limitNum = exporting ? MAX_EXPORT_ROWS : (parseInt(limit) || 50);
+        const offsetNum = exporting ? 0 : (parseInt(offset) || 0);
 
         const selectQuery = `
             SELECT 
@@ -75,6 +109,8 @@ router.get('/:userId', async (req, res) => {
                 c.provider,
                 c.model,
                 c.voice_id,
+                c.disposition,
+                c.outcome,
                 a.name as agent_name
             FROM calls c
             LEFT JOIN agents a ON c.agent_id = a.id
@@ -85,6 +121,22 @@ router.get('/:userId', async (req, res) => {
 
         const [calls] = await mysqlPool.execute(selectQuery, selectParams);
 
+        if (exporting) {
+            const outcomes = calls.map(call => parseOutcome(call.outcome) || {});
+            const outcomeFields = [...new Set(outcomes.flatMap(o => Object.keys(o)))];
+            const header = ['id', 'started_at', 'ended_at', 'from_number', 'to_number', 'status', 'duration',
+                'agent_name', 'disposition', ...outcomeFields];
+            const lines = calls.map((call, i) => [
+                call.id, call.started_at, call.ended_at, call.from_number, call.to_number, call.status,
+                call.duration || 0, call.agent_name, call.disposition,
+                ...outcomeFields.map(field => outcomes[i][field])
+            ].map(toCsvValue).join(','));
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="calls-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.send([header.join(','), ...lines].join('\r\n'));
+        }
+
         // Format response
         const formattedCalls = calls.map(call => ({
             id: call.id,
@@ -103,7 +155,9 @@ router.get('/:userId', async (req, res) => {
             agentName: call.agent_name || 'Unknown Agent',
             provider: call.provider,
             model: call.model,
-            voiceId: call.voice_id
+            voiceId: call.voice_id,
+            disposition: call.disposition,
+            outcome: parseOutcome(call.outcome)
         }));
 
         res.json({
@@ -127,4 +181,54 @@ router.get('/:userId', async (req, res) => {
     }
 });
 
+/**
+ * Get the processing log of one call, such as tool requests and responses
+ * GET /api/calls/:userId/:callId/logs
+ * Query params: type (log type, e.g. tool)
+ */
+router.get('/:userId/:callId/logs', async (req, res) => {
+    try {
+        const { userId, callId } = req.params;
+        const { type } = req.query;
+        const mysqlPool = req.app.get('mysqlPool');
+
+        const [calls] = await mysqlPool.execute(
+            'SELECT id FROM calls WHERE id = ? AND user_id = ?',
+            [callId, userId]
+        );
+        if (calls.length === 0) {
+            return res.status(404).json({ success: false, message: 'Call not found' });
+        }
+
+        let query = 'SELECT id, timestamp, log_type, message, data FROM call_logs WHERE call_id = ?';
+        const params = [callId];
+        if (type) {
+            query += ' AND log_type = ?';
+            params.push(type);
+        }
+        query += ' ORDER BY timestamp ASC';
+
+        const [rows] = await mysqlPool.execute(query, params);
+
+        res.json({
+            success: true,
+            logs: rows.map(row => ({
+                id: row.id,
+                timestamp: row.timestamp,
+                type: row.log_type,
+                message: row.message,
+                data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching call logs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch call logs',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
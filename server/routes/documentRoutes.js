@@ -1,8 +1,85 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const { extractDocument } = require('../utils/documentExtractor.js');
+
+const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20MB
+const MAX_FILES = 10;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES }
+});
 
 module.exports = (mysqlPool) => {
+    /**
+     * Store extracted text as a new document, or as the next version of an
+     * existing one. New versions keep the document id so agent links survive.
+     */
+    const saveDocument = async ({ userId, agentId, documentId, name, fileSize, text, format, provenance }) => {
+        if (documentId) {
+            const [existing] = await mysqlPool.execute(
+                'SELECT * FROM documents WHERE id = ? AND user_id = ?',
+                [documentId, userId]
+            );
+            if (existing.length === 0) {
+                throw new Error('Document to replace not found');
+            }
+
+            const previous = existing[0];
+            const version = (previous.version || 1) + 1;
+
+            await mysqlPool.execute(
+                `INSERT INTO document_versions (id, document_id, version, name, format, file_size, content, provenance, uploaded_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    uuidv4(),
+                    previous.id,
+                    previous.version || 1,
+                    previous.name,
+                    previous.format || null,
+                    previous.file_size || null,
+                    previous.content,
+                    previous.provenance ? (typeof previous.provenance === 'string' ? previous.provenance : JSON.stringify(previous.provenance)) : null,
+                    previous.uploaded_at
+                ]
+            );
+
+            await mysqlPool.execute(
+                `UPDATE documents
+                 SET name = ?, content = ?, file_size = ?, format = ?, provenance = ?, version = ?, uploaded_at = NOW(), updated_at = NOW()
+                 WHERE id = ?`,
+                [name, text, fileSize, format, JSON.stringify(provenance), version, previous.id]
+            );
+
+            return { id: previous.id, version };
+        }
+
+        const docId = uuidv4();
+        await mysqlPool.execute(
+            `INSERT INTO documents (id, user_id, agent_id, name, content, file_size, format, provenance, version, uploaded_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, NOW())`,
+            [docId, userId, agentId || null, name, text, fileSize, format, JSON.stringify(provenance)]
+        );
+        return { id: docId, version: 1 };
+    };
+
+    // Parse multipart bodies; JSON uploads fall through untouched
+    const parseFiles = (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+
+        upload.array('files', MAX_FILES)(req, res, (err) => {
+            if (err) {
+                const message = err.code === 'LIMIT_FILE_SIZE'
+                    ? `File exceeds the ${MAX_FILE_SIZE / (1024 * 1024)}MB limit`
+                    : err.message;
+                return res.status(400).json({ success: false, message });
+            }
+            next();
+        });
+    };
+
     // Get documents for a user
     router.get('/:userId', async (req, res) => {
         try {
@@ -31,8 +108,68 @@ module.exports = (mysqlPool) => {
         }
     });
 
-    // Upload a new document
-    router.post('/upload', async (req, res) => {
+    // Upload documents
+    // multipart/form-data: one or more "files" (PDF, DOCX, HTML, Markdown, text), plus
+    // userId, optional agentId and optional documentId to upload a new version.
+    // Each file is extracted independently and gets its own result or error.
+    // application/json: { userId, agentId, name, content } with text already extracted
+    router.post('/upload', parseFiles, async (req, res) => {
+        if (req.files) {
+            const { userId, agentId, documentId } = req.body;
+
+            if (!userId || req.files.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User ID and at least one file are required'
+                });
+            }
+
+            if (documentId && req.files.length > 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Upload a single file when replacing a document'
+                });
+            }
+
+            const results = [];
+            for (const file of req.files) {
+                try {
+                    const { text, format, provenance } = await extractDocument(file.buffer, file.originalname, file.mimetype);
+                    const saved = await saveDocument({
+                        userId,
+                        agentId,
+                        documentId,
+                        name: file.originalname,
+                        fileSize: file.size,
+                        text,
+                        format,
+                        provenance
+                    });
+
+                    results.push({
+                        name: file.originalname,
+                        success: true,
+                        id: saved.id,
+                        version: saved.version,
+                        format,
+                        pageCount: provenance.pageCount,
+                        sectionCount: provenance.sections.length,
+                        uploadedAt: new Date()
+                    });
+                } catch (error) {
+                    console.error(`Error ingesting document ${file.originalname}:`, error.message);
+                    results.push({ name: file.originalname, success: false, error: error.message });
+                }
+            }
+
+            const succeeded = results.filter(r => r.success).length;
+            return res.status(succeeded > 0 ? 200 : 422).json({
+                success: succeeded > 0,
+                message: `${succeeded} of ${results.length} files processed`,
+                data: { files: results }
+            });
+        }
+
         try {
             const { userId, agentId, name, content } = req.body;
 
@@ -95,6 +232,42 @@ module.exports = (mysqlPool) => {
         }
     });
 
+    // Get the version history of a document
+    router.get('/versions/:docId', async (req, res) => {
+        try {
+            const { docId } = req.params;
+
+            const [current] = await mysqlPool.execute(
+                'SELECT id, name, format, file_size, version, provenance, uploaded_at FROM documents WHERE id = ?',
+                [docId]
+            );
+
+            if (current.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Document not found'
+                });
+            }
+
+            const [versions] = await mysqlPool.execute(
+                `SELECT version, name, format, file_size, provenance, uploaded_at, archived_at
+                 FROM document_versions WHERE document_id = ? ORDER BY version DESC`,
+                [docId]
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    current: current[0],
+                    previous: versions
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching document versions:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
     // Delete a document
     router.delete('/:docId', async (req, res) => {
         try {
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const WebhookService = require('../services/webhookService.js');
+
+module.exports = (mysqlPool) => {
+    const webhookService = new WebhookService(mysqlPool);
+
+    // Get the webhook delivery log for a user
+    // Query params: callId, status, limit
+    router.get('/deliveries/:userId', async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { callId, status, limit } = req.query;
+
+            const deliveries = await webhookService.getDeliveries(userId, { callId, status, limit });
+
+            res.json({
+                success: true,
+                data: deliveries
+            });
+        } catch (error) {
+            console.error('Error fetching webhook deliveries:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Get a single delivery including its payload
+    router.get('/deliveries/:userId/:deliveryId', async (req, res) => {
+        try {
+            const { userId, deliveryId } = req.params;
+
+            const delivery = await webhookService.getDelivery(userId, deliveryId);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Delivery not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: delivery
+            });
+        } catch (error) {
+            console.error('Error fetching webhook delivery:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    return router;
+};
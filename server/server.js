@@ -7,6 +7,7 @@ const nodeFetch = require('node-fetch');
 const expressWs = require('express-ws');
 const { v4: uuidv4 } = require('uuid');
 const twilio = require('twilio');
+const multer = require('multer');
 // Load environment variables
 const envPath = process.env.NODE_ENV === 'production'
   ? path.resolve(__dirname, '.env')
@@ -24,6 +25,7 @@ const { TwilioBasicService } = require('./services/twilioBasicService.js');
 const { MediaStreamHandler } = require('./services/mediaStreamHandler.js');
 const { ElevenLabsStreamHandler } = require('./services/elevenLabsStreamHandler.js');
 const AdminService = require('./services/adminService.js');
+const WebhookService = require('./services/webhookService.js');
 const WalletService = require('./services/walletService.js');
 const CostCalculator = require('./services/costCalculator.js');
 const VoiceSyncService = require('./services/voiceSyncService.js');
@@ -34,6 +36,8 @@ const { router: voiceRouter, initVoiceSync } = require('./routes/voiceRoutes.js'
 const passport = require('passport');
 const session = require('express-session');
 const { configureGoogleAuth } = require('./config/googleAuth.js');
+const { COUNTRIES: CONTACT_COUNTRIES, readContactFile, buildContacts } = require('./utils/contactImporter.js');
+const { requireTwilioSignature } = require('./utils/twilioWebhook.js');
 
 // Initialize wallet and cost services
 const walletService = new WalletService(mysqlPool);
@@ -69,6 +73,7 @@ const authService = new AuthService(mysqlPool);
 const twilioService = new TwilioService();
 const twilioBasicService = new TwilioBasicService();
 const adminService = new AdminService(mysqlPool);
+const webhookService = new WebhookService(mysqlPool);
 //Import Google Sheets Service at the top of server.js
 const googleSheetsService = require('./services/googleSheetsService.js');
 // Initialize Google Sheets on server startup
@@ -88,7 +93,7 @@ console.log('✅ WebSocket support enabled on HTTP server');
 // Initialize Google Voice Stream Handler
 // Initialize Google Voice Stream Handler
 const GoogleVoiceStreamHandler = require('./services/GoogleVoiceStreamHandler.js');
-const googleVoiceHandler = new GoogleVoiceStreamHandler(voiceSyncService, walletService);
+const googleVoiceHandler = new GoogleVoiceStreamHandler(mysqlPool);
 app.ws('/voice-stream-google', (ws, req) => {
   googleVoiceHandler.handleConnection(ws, req);
 });
@@ -225,6 +230,11 @@ const documentRoutes = require('./routes/documentRoutes.js')(mysqlPool);
 app.use('/api/documents', documentRoutes);
 console.log('✅ Document API routes mounted at /api/documents');
 
+// Initialize and mount webhook delivery log routes
+const webhookRoutes = require('./routes/webhookRoutes.js')(mysqlPool);
+app.use('/api/webhooks', webhookRoutes);
+console.log('✅ Webhook API routes mounted at /api/webhooks');
+
 // Trigger initial voice sync
 voiceSyncService.syncAllProviders()
   .then(result => {
@@ -1336,9 +1346,9 @@ app.post('/api/google-sheets/log-call', async (req, res) => {
 // ==================== END GOOGLE SHEETS ENDPOINTS ====================
 
 
-app.post('/api/twilio/status', async (req, res) => {
+app.post('/api/twilio/status', requireTwilioSignature, async (req, res) => {
   try {
-    const { callId } = req.query;
+    const { callId, contactId } = req.query;
     const { CallSid, CallStatus, CallDuration, RecordingUrl } = req.body;
 
     console.log('Twilio status callback:', {
@@ -1365,7 +1375,7 @@ app.post('/api/twilio/status', async (req, res) => {
         updateData.recording_url = RecordingUrl;
       }
 
-      if (CallStatus === 'completed' || CallStatus === 'failed' || CallStatus === 'busy' || CallStatus === 'no-answer') {
+      if (CallStatus === 'completed' || CallStatus === 'failed' || CallStatus === 'busy' || CallStatus === 'no-answer' || CallStatus === 'canceled') {
         updateData.ended_at = new Date();
       }
 
@@ -1378,13 +1388,14 @@ app.post('/api/twilio/status', async (req, res) => {
         values
       );
 
-      // Note: Campaign contact updates and Google Sheets logging are handled by
-      // campaignService.updateContactAfterCall() which is called from the WebSocket handler
-      // when the call completes. This avoids duplicate logic and schema mismatches.
-
       console.log('Call status updated in database:', callId, CallStatus);
     }
 
+    // Campaign calls: finish the contact, or requeue it if the campaign retries this outcome
+    if (contactId && ['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(CallStatus)) {
+      await campaignService.handleCallStatus(contactId, callId, CallStatus, CallDuration);
+    }
+
     res.status(200).send('OK');
 
   } catch (error) {
@@ -2349,13 +2360,13 @@ app.delete('/api/twilio/accounts/:accountId', async (req, res) => {
 app.post('/api/twilio/voice', async (req, res) => {
   try {
     const { CallSid, From, To } = req.body;
-    const { userId, campaignId, agentId, callId } = req.query;
+    const { userId, campaignId, agentId, callId, contactId } = req.query;
 
     console.log('📞 ========== TWILIO VOICE WEBHOOK ==========');
     console.log('   CallSid:', CallSid);
     console.log('   From:', From);
     console.log('   To:', To);
-    console.log('   Query params:', { userId, campaignId, agentId, callId });
+    console.log('   Query params:', { userId, campaignId, agentId, callId, contactId });
 
     if (!agentId) {
       console.error('❌ Missing agentId in voice webhook');
@@ -2406,6 +2417,8 @@ app.post('/api/twilio/voice', async (req, res) => {
     stream.parameter({ name: 'callId', value: actualCallId });
     stream.parameter({ name: 'agentId', value: agentId });
     stream.parameter({ name: 'userId', value: userId || '' });
+    stream.parameter({ name: 'campaignId', value: campaignId || '' });
+    stream.parameter({ name: 'contactId', value: contactId || '' });
 
     const twiml = response.toString();
 
@@ -2487,6 +2500,48 @@ app.post('/api/twilio/callback', async (req, res) => {
   }
 });
 
+// Whisper played to the human agent before a live transfer is connected
+app.post('/api/twilio/transfer-whisper', requireTwilioSignature, (req, res) => {
+  const { summary } = req.query;
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const response = new VoiceResponse();
+
+  response.say(summary
+    ? `Incoming transfer from the AI agent. ${summary}`
+    : 'Incoming transfer from the AI agent.');
+
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+// Twilio async answering machine detection result
+app.post('/api/twilio/amd-status', requireTwilioSignature, async (req, res) => {
+  try {
+    const { CallSid, AnsweredBy } = req.body;
+
+    console.log('📭 AMD result:', { CallSid, AnsweredBy });
+
+    if (CallSid && AnsweredBy) {
+      const result = await campaignService.handleAnsweredBy(CallSid, AnsweredBy);
+
+      if (result.isMachine) {
+        if (typeof mediaStreamHandler !== 'undefined' && mediaStreamHandler) {
+          // Leaving a message takes a while - don't hold up Twilio's callback
+          mediaStreamHandler.handleVoicemail(CallSid, result.action, result.message)
+            .catch(err => console.error('❌ Error handling voicemail:', err));
+        } else {
+          await campaignService.hangupCall(CallSid);
+        }
+      }
+    }
+
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('❌ AMD callback error:', error);
+    res.status(200).send('OK');
+  }
+});
+
 // Agent endpoints
 // Get all agents for a user
 app.get('/api/agents', async (req, res) => {
@@ -2670,6 +2725,74 @@ app.put('/api/campaigns/:id', async (req, res) => {
   }
 });
 
+// Update a campaign's retry rules
+app.put('/api/campaigns/:id/retry-policy', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, maxAttempts, retryDelayMinutes, retryStatuses } = req.body;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const retryPolicy = await campaignService.updateRetryPolicy(id, userId, { maxAttempts, retryDelayMinutes, retryStatuses });
+    res.json({ success: true, data: retryPolicy });
+  } catch (error) {
+    console.error('Error updating retry policy:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update a campaign's caller number pool
+app.put('/api/campaigns/:id/caller-numbers', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, phoneNumberIds, rotation, localPresence, dailyCaps } = req.body;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const callerPool = await campaignService.updateCallerPool(id, userId, { phoneNumberIds, rotation, localPresence, dailyCaps });
+    res.json({ success: true, data: callerPool });
+  } catch (error) {
+    console.error('Error updating caller numbers:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update how many calls a campaign places at once
+app.put('/api/campaigns/:id/concurrency', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, maxConcurrentCalls } = req.body;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const result = await campaignService.updateConcurrency(id, userId, maxConcurrentCalls);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error updating campaign concurrency:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Update a campaign's schedule and calling hours
+app.put('/api/campaigns/:id/schedule', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, startAt, endAt, window, timezone } = req.body;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const schedule = await campaignService.updateSchedule(id, userId, { startAt, endAt, window, timezone });
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Error updating campaign schedule:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
 // Delete a campaign
 app.delete('/api/campaigns/:id', async (req, res) => {
   try {
@@ -2705,17 +2828,62 @@ app.post('/api/campaigns/:id/set-caller-phone', async (req, res) => {
   }
 });
 
-// Import records (CSV)
-app.post('/api/campaigns/:id/import', async (req, res) => {
+const MAX_CONTACT_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const contactUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CONTACT_FILE_SIZE, files: 1 }
+});
+
+// Import contacts into a campaign
+// multipart/form-data: a CSV or Excel "file", userId, optional defaultCountry (ISO code
+// used for numbers without a country code) and optional mapping (JSON { header: target }).
+// application/json: { userId, csvData: [{ column: value }], defaultCountry, mapping }
+app.post('/api/campaigns/:id/import', (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  contactUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File exceeds the ${MAX_CONTACT_FILE_SIZE / (1024 * 1024)}MB limit`
+        : err.message;
+      return res.status(400).json({ success: false, message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const { id } = req.params;
+  const { userId, csvData, defaultCountry } = req.body;
+  if (!userId || (!req.file && !Array.isArray(csvData))) {
+    return res.status(400).json({ success: false, message: 'User ID and a contact file are required' });
+  }
+  if (defaultCountry && !CONTACT_COUNTRIES[String(defaultCountry).toUpperCase()]) {
+    return res.status(400).json({ success: false, message: `Unsupported default country: ${defaultCountry}` });
+  }
+
+  let parsed;
   try {
-    const { id } = req.params;
-    const { userId, csvData } = req.body;
-    if (!userId || !csvData) {
-      return res.status(400).json({ success: false, message: 'User ID and CSV data are required' });
+    const mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : (req.body.mapping || {});
+
+    let rows;
+    if (req.file) {
+      rows = readContactFile(req.file.buffer, req.file.originalname);
+    } else {
+      const headers = [...new Set(csvData.flatMap(record => Object.keys(record)))];
+      rows = [headers, ...csvData.map(record => headers.map(h => String(record[h] ?? '')))];
     }
 
-    const result = await campaignService.addContacts(id, csvData);
-    res.json(result);
+    parsed = buildContacts(rows, { defaultCountry, mapping });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  try {
+    const report = await campaignService.importContacts(id, userId, parsed, defaultCountry);
+    res.json({
+      success: true,
+      data: { ...report, columns: parsed.columns },
+      message: `Imported ${report.imported} contacts${report.skipped ? `, skipped ${report.skipped} rows` : ''}`
+    });
   } catch (error) {
     console.error('Error importing records:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -2777,6 +2945,86 @@ app.delete('/api/campaigns/:campaignId/records/:recordId', async (req, res) => {
   }
 });
 
+// Do-Not-Call list endpoints
+// Get the DNC list for a user
+app.get('/api/dnc', async (req, res) => {
+  try {
+    const { userId, search } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const numbers = await campaignService.dncService.getNumbers(userId, search || null);
+    res.json({ success: true, data: numbers });
+  } catch (error) {
+    console.error('Error fetching DNC list:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Add a single number to the DNC list
+// Numbers are stored in E.164; defaultCountry (ISO code) is used for numbers without a country code
+app.post('/api/dnc', async (req, res) => {
+  try {
+    const { userId, phone, reason, defaultCountry } = req.body;
+    if (!userId || !phone) {
+      return res.status(400).json({ success: false, message: 'User ID and phone number are required' });
+    }
+    if (defaultCountry && !CONTACT_COUNTRIES[String(defaultCountry).toUpperCase()]) {
+      return res.status(400).json({ success: false, message: `Unsupported default country: ${defaultCountry}` });
+    }
+
+    const added = await campaignService.dncService.addNumber(userId, phone, 'manual', reason || null, defaultCountry || null);
+    res.json({
+      success: true,
+      message: added ? 'Number added to Do-Not-Call list' : 'Number is already on the Do-Not-Call list'
+    });
+  } catch (error) {
+    console.error('Error adding DNC number:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Import numbers into the DNC list
+app.post('/api/dnc/import', async (req, res) => {
+  try {
+    const { userId, phones, defaultCountry } = req.body;
+    if (!userId || !Array.isArray(phones) || phones.length === 0) {
+      return res.status(400).json({ success: false, message: 'User ID and a list of phone numbers are required' });
+    }
+    if (defaultCountry && !CONTACT_COUNTRIES[String(defaultCountry).toUpperCase()]) {
+      return res.status(400).json({ success: false, message: `Unsupported default country: ${defaultCountry}` });
+    }
+
+    const result = await campaignService.dncService.importNumbers(userId, phones, defaultCountry || null);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error importing DNC list:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Remove a number from the DNC list
+app.delete('/api/dnc/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const removed = await campaignService.dncService.removeNumber(userId, id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Number not found' });
+    }
+
+    res.json({ success: true, message: 'Number removed from Do-Not-Call list' });
+  } catch (error) {
+    console.error('Error removing DNC number:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Google Sheets endpoint for appending data
 app.post('/api/tools/google-sheets/append', async (req, res) => {
   try {
@@ -2941,6 +3189,7 @@ if (process.env.DEEPGRAM_API_KEY && process.env.GOOGLE_GEMINI_API_KEY) {
   console.warn("Voice call feature disabled — missing DEEPGRAM_API_KEY or GOOGLE_GEMINI_API_KEY");
 }
 // WebSocket endpoint for ElevenLabs STT
+const elevenLabsStreamHandler = new ElevenLabsStreamHandler(mysqlPool);
 app.ws('/api/stt', function (ws, req) {
   elevenLabsStreamHandler.handleConnection(ws, req);
 })
@@ -3676,4 +3925,10 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`📡 WebSocket endpoint: wss://ziyavoice-production.up.railway.app/api/call`);
   console.log(`🌐 Frontend URL: ${FRONTEND_URL}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Pick up campaigns that were running when the server last stopped
+  campaignService.startJobWorker();
+
+  // Send webhook retries, including those pending when the server last stopped
+  webhookService.startRetryWorker();
 });
@@ -1,41 +1,38 @@
-const WebSocket = require('ws');
 const nodeFetch = require('node-fetch');
-const { v4: uuidv4 } = require('uuid');
+const { LLMService } = require('../llmService.js');
+const ConversationEngine = require('./conversationEngine.js');
+const BrowserChannel = require('./browserChannel.js');
 
 /**
  * Google Voice Stream Handler
- * Pipeline: User Audio -> Google STT -> Gemini -> ElevenLabs -> User Audio
+ * Browser voice calls with Google Speech-to-Text. Audio is transcribed in batches;
+ * the conversation itself runs on the shared conversation engine.
  */
 class GoogleVoiceStreamHandler {
-    constructor(voiceSyncService, walletService) {
-        this.voiceSyncService = voiceSyncService;
-        this.walletService = walletService;
-        this.clients = new Set();
+    constructor(mysqlPool = null) {
+        this.googleApiKey = process.env.GOOGLE_GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+        this.engine = new ConversationEngine(new LLMService(this.googleApiKey), mysqlPool);
+        this.browser = new BrowserChannel(this.engine);
     }
 
-    handleConnection(ws, req) {
+    async handleConnection(ws, req) {
         console.log('[GoogleVoice] New connection');
 
         let audioBuffer = [];
         let isProcessing = false;
-
-        // Configuration
-        const googleApiKey = process.env.GOOGLE_GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
-        const elevenLabsApiKey = process.env.ELEVEN_LABS_API_KEY;
+        let session = null;
 
         // Query params
         const url = new URL(req.url, `http://${req.headers.host}`);
-        const agentId = url.searchParams.get('agentId');
-        const voiceId = url.searchParams.get('voiceId') || '21m00Tcm4TlvDq8ikWAM';
-        const identity = decodeURIComponent(url.searchParams.get('identity') || 'You are a helpful AI assistant.');
         const userId = url.searchParams.get('userId');
 
-        if (!googleApiKey) {
+        if (!this.googleApiKey) {
             console.error('[GoogleVoice] Missing Google API Key');
             ws.send(JSON.stringify({ event: 'error', message: 'Server missing Google API Key' }));
             return;
         }
 
+        // Register listeners before loading the agent so early audio and closes aren't missed
         ws.on('message', async (message) => {
             try {
                 const data = JSON.parse(message.toString());
@@ -45,95 +42,53 @@ class GoogleVoiceStreamHandler {
                     audioBuffer.push(data.data); // base64 string
 
                     // Process every ~1 second of audio (assuming approx 30-50 chunks/sec depending on frontend)
-                    // For better latency, we might process more aggressively, but let's stick to batching 
-                    // to match the previous logic and ensure we have enough context.
                     // If we have > 20 chunks and aren't processing, go.
-                    if (audioBuffer.length >= 20 && !isProcessing) {
+                    if (session && audioBuffer.length >= 20 && !isProcessing) {
                         isProcessing = true;
                         const chunksToProcess = [...audioBuffer];
                         audioBuffer = []; // Clear buffer immediately
 
-                        await this.processPipeline(
-                            ws,
-                            chunksToProcess,
-                            googleApiKey,
-                            elevenLabsApiKey,
-                            agentId,
-                            voiceId,
-                            identity,
-                            userId
-                        );
-
+                        const transcript = await this.transcribeAudio(chunksToProcess, this.googleApiKey);
                         isProcessing = false;
+
+                        // The reply streams back on its own; keep transcribing meanwhile so the user can interrupt
+                        if (transcript) {
+                            console.log(`[GoogleVoice] Transcript: "${transcript}"`);
+                            this.engine.handleTranscript(session, { transcript }, true)
+                                .catch(err => console.error('[GoogleVoice] Turn error:', err));
+                        }
                     }
                 }
             } catch (error) {
                 console.error('[GoogleVoice] Error processing message:', error);
                 isProcessing = false;
+                if (ws.readyState === ws.OPEN) {
+                    ws.send(JSON.stringify({
+                        event: 'error',
+                        message: error.message || 'Error processing audio'
+                    }));
+                }
             }
         });
 
         ws.on('close', () => {
             console.log('[GoogleVoice] Client disconnected');
+            if (session) this.browser.closeSession(session);
         });
-    }
 
-    async processPipeline(ws, audioChunks, googleApiKey, elevenLabsApiKey, agentId, voiceId, identity, userId) {
         try {
-            // 1. Google Speech-to-Text
-            const transcript = await this.transcribeAudio(audioChunks, googleApiKey);
-
-            if (!transcript) return; // No speech detected
-
-            console.log(`[GoogleVoice] Transcript: "${transcript}"`);
-
-            // Send transcript to client
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.send(JSON.stringify({ event: 'transcript', text: transcript }));
-            }
-
-            // 2. Gemini
-            const llmResponse = await this.generateResponse(transcript, identity, googleApiKey);
-            console.log(`[GoogleVoice] Gemini Response: "${llmResponse}"`);
-
-            // Track Gemini Usage
-            if (userId && this.walletService) {
-                // Rough estimation
-                const estimatedTokens = (transcript.length + llmResponse.length) / 4;
-                this.walletService.recordUsageAndCharge(userId, agentId || 'direct', 'gemini', estimatedTokens, {
-                    prompt_length: transcript.length,
-                    response_length: llmResponse.length
-                }).catch(e => console.error('Wallet error:', e)); // Don't block processing
-            }
-
-            // 3. ElevenLabs TTS
-            if (elevenLabsApiKey) {
-                const audioBase64 = await this.generateAudio(llmResponse, voiceId, elevenLabsApiKey);
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.send(JSON.stringify({ event: 'audio', audio: audioBase64 }));
-                }
-
-                // Track ElevenLabs Usage
-                if (userId && this.walletService) {
-                    this.walletService.recordUsageAndCharge(userId, agentId || 'direct', 'elevenlabs', llmResponse.length, {
-                        voice_id: voiceId
-                    }).catch(e => console.error('Wallet error:', e));
-                }
-            } else {
-                // Fallback if no TTS
-                if (ws.readyState === WebSocket.OPEN) {
-                    ws.send(JSON.stringify({ event: 'agent-response', text: llmResponse }));
-                }
-            }
-
+            session = await this.browser.openSession(ws, {
+                callId: 'google_' + Date.now(),
+                userId,
+                agentId: url.searchParams.get('agentId'),
+                voiceId: url.searchParams.get('voiceId'),
+                identity: url.searchParams.get('identity'),
+                sttProvider: null // Google STT isn't billed per call
+            });
+            if (session && ws.readyState !== ws.OPEN) this.browser.closeSession(session);
         } catch (error) {
-            console.error('[GoogleVoice] Pipeline Error:', error);
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.send(JSON.stringify({
-                    event: 'error',
-                    message: error.message || 'Error processing audio'
-                }));
-            }
+            console.error('[GoogleVoice] Connection setup error:', error);
+            ws.close();
         }
     }
 
@@ -186,91 +141,6 @@ class GoogleVoiceStreamHandler {
             throw error;
         }
     }
-
-    async generateResponse(transcript, systemPrompt, ApiKey) {
-        // Using Gemini 1.5 Flash via Generative Language API
-        const response = await nodeFetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${ApiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{ text: `${systemPrompt}\n\nUser: ${transcript}` }]
-                }]
-            })
-        });
-
-        const data = await response.json();
-
-        if (data.error) {
-            // Fallback to gemini-pro if 1.5-flash fails or doesn't exist
-            throw new Error(`Gemini Error: ${data.error.message}`);
-        }
-
-        return data.candidates?.[0]?.content?.parts?.[0]?.text || "I'm sorry, I couldn't understand that.";
-    }
-
-    async generateAudio(text, voiceId, apiKey) {
-        // CHECK FOR SARVAM VOICE
-        // The frontend sends just the speaker name for Sarvam (e.g. "anushka"), 
-        // OR it might send a prefixed ID if we changed that logic.
-        // Based on previous context, user was adding "sarvam" provider.
-        // Let's assume if the ID doesn't look like an ElevenLabs ID (usually 20 chars), it might be Sarvam, 
-        // OR we specifically check against known Sarvam names.
-
-        const sarvamSpeakers = [
-            'anushka', 'abhilash', 'chitra', 'meera', 'arvind',
-            'manisha', 'vidya', 'arya', 'karun', 'hitesh'
-        ];
-
-        // If voiceId matches a Sarvam speaker or starts with 'sarvam:'
-        const isSarvam = sarvamSpeakers.includes(voiceId) || voiceId.startsWith('sarvam:');
-
-        if (isSarvam) {
-            const speaker = voiceId.replace('sarvam:', '');
-            console.log(`[GoogleVoice] Generating Sarvam audio for speaker: ${speaker}`);
-
-            try {
-                // Import dynamically to avoid top-level issues if file missing
-                const { sarvamTTS } = require('./tts_sarvam');
-
-                const audioBuffer = await sarvamTTS(text, {
-                    speaker: speaker,
-                    language: 'en-IN', // You might want to make this dynamic later
-                    format: 'wav',     // WAV works well with decodeAudioData
-                    skipConversion: true // Use our new flag to get standard WAV
-                });
-
-                return audioBuffer.toString('base64');
-            } catch (err) {
-                console.error('[GoogleVoice] Sarvam TTS Failed:', err);
-                // Fallback or re-throw?
-                throw new Error(`Sarvam TTS Failed: ${err.message}`);
-            }
-        }
-
-        // DEFAULT: ELEVEN LABS
-        // Use mp3_44100_128 which is standard and plays everywhere
-        console.log(`[GoogleVoice] Generating ElevenLabs audio for voice: ${voiceId}`);
-        const response = await nodeFetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}?output_format=mp3_44100_128`, {
-            method: 'POST',
-            headers: {
-                'xi-api-key': apiKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                text: text,
-                model_id: "eleven_turbo_v2_5"
-            })
-        });
-
-        if (!response.ok) {
-            const err = await response.text();
-            throw new Error(`ElevenLabs Error: ${err}`);
-        }
-
-        const arrayBuffer = await response.arrayBuffer();
-        return Buffer.from(arrayBuffer).toString('base64');
-    }
 }
 
 module.exports = GoogleVoiceStreamHandler;
@@ -199,9 +199,16 @@ async updateAgent(userId, id, updateData) {
             greetingLine: "Welcome! How can I help you?",
             responseDelay: false,
             inactivityHandling: true,
+            inactivityTimeout: 10,
+            inactivityPrompt: "Are you still there?",
+            inactivityMaxPrompts: 2,
             agentCanTerminateCall: false,
             voicemailDetection: true,
+            voicemailAction: "hangup",
+            voicemailMessage: "",
             callTransfer: true,
+            transferNumber: "",
+            transferMessage: "Please hold while I transfer you to a member of our team.",
             dtmfDial: false,
             agentTimezone: "America/New_York",
             voiceDetectionConfidenceThreshold: 0.5,
@@ -215,6 +222,7 @@ async updateAgent(userId, id, updateData) {
             doNotCallDetection: true,
             prefetchDataWebhook: "",
             endOfCallWebhook: "",
+            webhookSecret: "",
             preActionPhrases: [],
             tools: []
         };
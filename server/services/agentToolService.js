@@ -0,0 +1,170 @@
+// Native Gemini function calling for voice agents.
+// An agent's tools (settings.tools) and the call controls a handler offers (endCall,
+// transferCall, ...) are declared to Gemini as functions. When the model calls them,
+// agent tools run through ToolExecutionService and built-ins through the handler's own
+// callbacks. Results go back into the conversation as function responses so the model
+// can answer from them.
+const { SchemaType } = require('@google/generative-ai');
+const { ToolExecutionService } = require('../toolExecutionService.js');
+
+// Tool rounds allowed in one turn before the agent stops calling tools and apologizes
+const MAX_TOOL_ROUNDS = 5;
+
+const TOOL_USAGE_PROMPT = `\n\nTools:\nWhen you need to collect information from the user for a tool, ask for its required parameters before calling it. Tell the user the result in your own words.`;
+
+// Prompt sections telling the model when to use each call control, keyed by function name
+const CALL_CONTROL_PROMPTS = {
+    endCall: `\n\nEnding the Call:\nWhen the goal of the conversation has been reached or the caller says goodbye, end the call with the endCall function.`,
+    sendDtmf: `\n\nKeypad Dialing:\nIf you reach an automated phone menu (IVR) and need to press keys to navigate it, use the sendDtmf function.`,
+    addToDoNotCall: `\n\nDo Not Call Requests:\nIf the person asks not to be called again, to be removed from the calling list, or similar, use the addToDoNotCall function.`,
+    transferCall: `\n\nCall Transfer:\nIf the caller asks to speak to a human, or you are unable to help them, transfer the call with the transferCall function.`
+};
+
+const PARAMETER_TYPES = {
+    string: SchemaType.STRING,
+    number: SchemaType.NUMBER,
+    boolean: SchemaType.BOOLEAN
+};
+
+class AgentToolService {
+    constructor(toolExecutionService = new ToolExecutionService()) {
+        this.toolExecutionService = toolExecutionService;
+    }
+
+    /**
+     * Gemini function names may only use letters, digits, _ . - and must not start with a digit
+     */
+    toFunctionName(name) {
+        return String(name || '')
+            .trim()
+            .replace(/[^A-Za-z0-9_.-]+/g, '_')
+            .replace(/^(?=[^A-Za-z_])/, '_')
+            .slice(0, 64);
+    }
+
+    /**
+     * Build a function declaration from ToolParameter definitions
+     */
+    toDeclaration(name, description, parameters = []) {
+        const declaration = { name, description: description || name };
+        const params = (parameters || []).filter(param => param && param.name);
+
+        if (params.length > 0) {
+            declaration.parameters = {
+                type: SchemaType.OBJECT,
+                properties: Object.fromEntries(params.map(param => [param.name, {
+                    type: PARAMETER_TYPES[param.type] || SchemaType.STRING,
+                    ...(param.description ? { description: param.description } : {})
+                }])),
+                required: params.filter(param => param.required).map(param => param.name)
+            };
+        }
+        return declaration;
+    }
+
+    /**
+     * Declare an agent's tools and a handler's built-in functions for a call
+     * @param {Array} tools - Agent tools from settings.tools
+     * @param {Object} [builtins] - { name: { description, parameters, run(args) } }. run resolves to
+     *   { result, reply }; a reply (even '') ends the turn with that text instead of asking the model again.
+     * @returns {{ functions: Map, hasAgentTools: boolean }}
+     */
+    createToolset(tools = [], builtins = {}) {
+        const functions = new Map();
+
+        for (const [name, builtin] of Object.entries(builtins)) {
+            functions.set(name, { builtin, declaration: this.toDeclaration(name, builtin.description, builtin.parameters) });
+        }
+
+        for (const tool of tools || []) {
+            const name = this.toFunctionName(tool?.name);
+            if (!name || functions.has(name)) {
+                console.warn(`⚠️ Skipping tool "${tool?.name}": its name is empty or already taken`);
+                continue;
+            }
+            functions.set(name, { tool, declaration: this.toDeclaration(name, tool.description, tool.parameters) });
+        }
+
+        return {
+            functions,
+            hasAgentTools: [...functions.values()].some(entry => entry.tool)
+        };
+    }
+
+    /**
+     * The tools config for a Gemini request, or undefined when nothing is declared
+     */
+    getGeminiTools(toolset) {
+        if (!toolset || toolset.functions.size === 0) return undefined;
+        return [{ functionDeclarations: [...toolset.functions.values()].map(entry => entry.declaration) }];
+    }
+
+    /**
+     * Run the function calls from one model reply in order, then add the model's calls
+     * and their results to the session context.
+     * @param {Object} session - Needs context and toolset
+     * @param {Array<{ name: string, args: Object }>} functionCalls
+     * @param {Object} [options]
+     * @param {string} [options.text] - Text the model sent along with the calls
+     * @param {Function} [options.beforeTool] - (tool) => Promise<string|null>: say a filler phrase while
+     *   agent tools run. Skipped when the model already said something.
+     * @param {Function} [options.onResult] - (name, args, result, details) for the call's tool log;
+     *   details is the request/response summary from ToolExecutionService, if any
+     * @returns {Promise<{ reply: string|null }>} - reply is set when a built-in ended the turn
+     */
+    async runFunctionCalls(session, functionCalls, { text = '', beforeTool = null, onResult = null } = {}) {
+        const { functions } = session.toolset;
+        const parts = text ? [{ text }] : [];
+
+        // One filler phrase covers every agent tool in the reply
+        const firstTool = functionCalls.map(call => functions.get(call.name)?.tool).find(Boolean);
+        if (firstTool && beforeTool && !text.trim()) {
+            const phrase = await beforeTool(firstTool);
+            if (phrase) parts.push({ text: phrase });
+        }
+
+        session.context.push({
+            role: 'model',
+            parts: [...parts, ...functionCalls.map(call => ({ functionCall: { name: call.name, args: call.args || {} } }))]
+        });
+
+        const responses = [];
+        let reply = null;
+
+        for (const call of functionCalls) {
+            const args = call.args || {};
+            const entry = functions.get(call.name);
+            let result;
+            let details = null;
+
+            try {
+                if (entry?.builtin) {
+                    const outcome = await entry.builtin.run(args);
+                    result = outcome.result;
+                    if (typeof outcome.reply === 'string') reply = outcome.reply;
+                } else if (entry?.tool) {
+                    console.log(`🛠️ Running tool ${entry.tool.name}:`, args);
+                    const { details: requestDetails, ...toolResult } = await this.toolExecutionService.executeTool(entry.tool, args);
+                    result = toolResult;
+                    details = requestDetails || null;
+                } else {
+                    result = { status: 'error', message: `Unknown function ${call.name}` };
+                }
+            } catch (err) {
+                console.error(`❌ Function ${call.name} failed:`, err);
+                result = { status: 'error', message: err.message };
+            }
+
+            if (onResult) onResult(entry?.tool?.name || call.name, args, result, details);
+            responses.push({ functionResponse: { name: call.name, response: result } });
+        }
+
+        session.context.push({ role: 'function', parts: responses });
+        return { reply };
+    }
+}
+
+module.exports = AgentToolService;
+module.exports.MAX_TOOL_ROUNDS = MAX_TOOL_ROUNDS;
+module.exports.TOOL_USAGE_PROMPT = TOOL_USAGE_PROMPT;
+module.exports.CALL_CONTROL_PROMPTS = CALL_CONTROL_PROMPTS;
@@ -0,0 +1,162 @@
+// Browser WebSocket channel for the conversation engine.
+// Web calls get their own row in the calls table. The agent's replies go to the page as
+// whole MP3 clips ({ event: 'audio' }), its text as { event: 'agent-response' } and the
+// user's final transcripts as { event: 'transcript' }. Speech-to-text is left to the handler.
+const { v4: uuidv4 } = require('uuid');
+
+// MP3 at 128kbps
+const MP3_BYTES_PER_SECOND = 16000;
+
+class BrowserChannel {
+    constructor(engine) {
+        this.engine = engine;
+        this.mysqlPool = engine.mysqlPool;
+
+        // Channel properties read by the engine
+        this.capabilities = { transfer: false, dtmf: false, doNotCall: false };
+        this.ttsOptions = {
+            output_format: 'mp3_44100_128', // ElevenLabs
+            format: 'mp3',                  // Sarvam
+            skipConversion: true            // Sarvam (prevent ulaw conversion)
+        };
+        this.audioBytesPerSecond = MP3_BYTES_PER_SECOND;
+    }
+
+    /**
+     * Start a web call: check the balance, set up the conversation, log the call
+     * and greet the user
+     * @param {Object} options - { callId, userId, agentId, voiceId, identity, sttProvider }
+     * @returns {Promise<Object|null>} - The session, or null if the call was refused
+     */
+    async openSession(ws, options) {
+        const balanceCheck = await this.engine.checkBalance(options.userId);
+        if (!balanceCheck.allowed) {
+            ws.send(JSON.stringify({
+                event: 'error',
+                message: balanceCheck.message,
+                balance: balanceCheck.balance
+            }));
+            ws.close();
+            return null;
+        }
+
+        const session = await this.engine.createSession(this, options);
+        session.ws = ws;
+        session.playbackWait = null; // { timer, resolve } for the clip the browser is playing
+
+        await this.logCallStart(session);
+        this.engine.startConversation(session, { greetingDelayMs: 500 });
+        return session;
+    }
+
+    /**
+     * Mark the web call completed, then charge for it and run the end-of-call work
+     */
+    async closeSession(session) {
+        if (session.ended) return;
+        this.finishPlayback(session);
+        this.engine.endSession(session);
+
+        if (!this.mysqlPool || !session.callRecordId) return;
+        try {
+            const duration = Math.floor((session.endTime - session.startTime) / 1000); // Duration in seconds
+            await this.mysqlPool.execute(
+                `UPDATE calls SET status = ?, ended_at = ?, duration = ? WHERE id = ?`,
+                ['completed', session.endTime, duration, session.callRecordId]
+            );
+            console.log(`✅ Call ended and logged: ${session.callRecordId}, duration: ${duration}s`);
+        } catch (err) {
+            console.error('❌ Error logging call end:', err);
+        }
+    }
+
+    async logCallStart(session) {
+        if (!this.mysqlPool || !session.userId) {
+            console.log('⚠️ Skipping call logging (no database pool or user ID)');
+            return null;
+        }
+
+        try {
+            const callId = uuidv4();
+
+            await this.mysqlPool.execute(
+                `INSERT INTO calls (id, user_id, agent_id, call_sid, from_number, to_number, direction, status, call_type, started_at, timestamp)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                [
+                    callId,
+                    session.userId,
+                    session.agentId || null,
+                    session.callId, // Use the connection ID as call_sid for web calls
+                    'web-browser', // from_number
+                    'voice-agent', // to_number
+                    'inbound', // direction
+                    'in-progress', // status
+                    'web_call', // call_type
+                    session.startTime
+                ]
+            );
+
+            session.callRecordId = callId;
+            console.log(`✅ Call logged to database: ${callId}`);
+            return callId;
+        } catch (err) {
+            console.error('❌ Error logging call start:', err);
+            return null;
+        }
+    }
+
+    isOpen(session) {
+        return session.ws && session.ws.readyState === session.ws.OPEN;
+    }
+
+    showText(session, text, role) {
+        if (!this.isOpen(session)) return;
+        session.ws.send(JSON.stringify({ event: role === 'user' ? 'transcript' : 'agent-response', text }));
+    }
+
+    /**
+     * Send a clip to the browser and resolve once it should have finished playing,
+     * so the next clip doesn't talk over it
+     */
+    sendAudio(session, audioBuffer, generation) {
+        if (!this.isOpen(session) || generation !== session.playbackGeneration) return Promise.resolve();
+
+        session.ws.send(JSON.stringify({
+            event: 'audio',
+            audio: audioBuffer.toString('base64')
+        }));
+
+        const durationMs = audioBuffer.length / MP3_BYTES_PER_SECOND * 1000;
+        return new Promise(resolve => {
+            session.playbackWait = { timer: setTimeout(() => this.finishPlayback(session), durationMs), resolve };
+        });
+    }
+
+    finishPlayback(session) {
+        const wait = session.playbackWait;
+        if (!wait) return;
+        session.playbackWait = null;
+        clearTimeout(wait.timer);
+        wait.resolve();
+    }
+
+    stopAudio(session) {
+        this.finishPlayback(session);
+        if (this.isOpen(session)) {
+            session.ws.send(JSON.stringify({ event: 'stop-audio' }));
+        }
+    }
+
+    /**
+     * Tell the page the call is over and close the socket. The handler's close
+     * listener calls closeSession.
+     */
+    hangup(session) {
+        if (this.isOpen(session)) {
+            session.ws.send(JSON.stringify({ event: 'call-ended', reason: session.endReason || 'agent' }));
+            session.ws.close();
+        }
+    }
+}
+
+module.exports = BrowserChannel;
@@ -0,0 +1,48 @@
+// Per-call processing log (call_logs): tool calls, interruptions, latency, timeouts,
+// transfers and other events worth seeing next to a call's transcript.
+const { v4: uuidv4 } = require('uuid');
+
+class CallLogService {
+    constructor(mysqlPool = null) {
+        this.mysqlPool = mysqlPool;
+    }
+
+    /**
+     * Look up the calls table row for a session. Campaign calls are keyed by the
+     * Twilio call SID while calls started from the dashboard use our own id.
+     * Channels that create their own row set session.callRecordId directly.
+     */
+    async resolveCallRecordId(session) {
+        if (session.callRecordId || !this.mysqlPool) return session.callRecordId;
+
+        try {
+            const [rows] = await this.mysqlPool.execute(
+                'SELECT id FROM calls WHERE id = ? OR call_sid = ? LIMIT 1',
+                [session.callId, session.callSid || session.callId]
+            );
+            if (rows.length > 0) session.callRecordId = rows[0].id;
+        } catch (err) {
+            console.error('❌ Error looking up call record:', err.message);
+        }
+        return session.callRecordId;
+    }
+
+    /**
+     * Write an entry to call_logs for the session's call
+     */
+    async log(session, logType, message, data = null) {
+        const callRecordId = await this.resolveCallRecordId(session);
+        if (!callRecordId) return;
+
+        try {
+            await this.mysqlPool.execute(
+                'INSERT INTO call_logs (id, call_id, log_type, message, data) VALUES (?, ?, ?, ?, ?)',
+                [uuidv4(), callRecordId, logType, message, data ? JSON.stringify(data) : null]
+            );
+        } catch (err) {
+            console.error('❌ Error writing call log:', err.message);
+        }
+    }
+}
+
+module.exports = CallLogService;
@@ -0,0 +1,153 @@
+// Post-call outcome extraction.
+// When a call ends, its transcript is sent to the LLM with the agent's outcome fields
+// (settings.outcomeFields: [{ name, type, description, options }]). The typed answers and a
+// disposition are stored on the call and, for campaign calls, on the contact.
+
+const DISPOSITIONS = ['converted', 'not_interested', 'callback', 'wrong_number', 'other'];
+const OUTCOME_FIELD_TYPES = ['boolean', 'string', 'number', 'datetime', 'enum'];
+
+const EXTRACTION_MODEL = 'models/gemini-2.5-flash';
+
+const DISPOSITION_GUIDE = `- converted: the caller agreed to what the call was for (booked, bought, signed up, qualified)
+- not_interested: the caller declined or asked not to be contacted
+- callback: the caller asked to be called back or to continue later
+- wrong_number: the person reached is not the intended contact
+- other: none of the above, or the conversation never got going`;
+
+class CallOutcomeService {
+    constructor(mysqlPool, llmService) {
+        this.mysqlPool = mysqlPool;
+        this.llmService = llmService;
+    }
+
+    /**
+     * Keep only well-formed outcome fields from agent settings
+     */
+    getOutcomeFields(settings) {
+        return (settings?.outcomeFields || []).filter(field =>
+            field && /^[A-Za-z_]\w*$/.test(field.name || '') && OUTCOME_FIELD_TYPES.includes(field.type)
+        );
+    }
+
+    buildInstruction(fields) {
+        const fieldLines = fields.map(field => {
+            const options = field.type === 'enum' && field.options?.length ? ` One of: ${field.options.join(', ')}.` : '';
+            const format = field.type === 'datetime' ? ' ISO 8601 date and time.' : '';
+            return `- ${field.name} (${field.type}): ${field.description || ''}${options}${format}`;
+        });
+
+        return `You review transcripts of phone calls made by an AI voice agent and record the outcome.
+
+Respond with only a JSON object, no other text:
+{"disposition": "...", "fields": { ... }}
+
+disposition must be one of:
+${DISPOSITION_GUIDE}
+${fieldLines.length > 0 ? `\nfields must contain these keys. Use null when the transcript does not say:\n${fieldLines.join('\n')}` : '\nfields must be an empty object.'}`;
+    }
+
+    /**
+     * Parse the model's reply, tolerating Markdown code fences around the JSON
+     */
+    parseResponse(text) {
+        const match = String(text || '').match(/\{[\s\S]*\}/);
+        if (!match) throw new Error('No JSON object in extraction response');
+        return JSON.parse(match[0]);
+    }
+
+    /**
+     * Coerce an extracted value to its declared type. Values that don't fit become null.
+     */
+    coerceValue(field, value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        switch (field.type) {
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (/^(true|yes)$/i.test(String(value))) return true;
+                if (/^(false|no)$/i.test(String(value))) return false;
+                return null;
+            case 'number': {
+                const number = Number(value);
+                return Number.isFinite(number) ? number : null;
+            }
+            case 'datetime': {
+                const date = new Date(value);
+                return Number.isNaN(date.getTime()) ? null : date.toISOString();
+            }
+            case 'enum': {
+                const option = (field.options || []).find(o => o.toLowerCase() === String(value).toLowerCase());
+                return option || null;
+            }
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Run extraction on a transcript
+     * @param {Array<{ role: string, text: string }>} transcript
+     * @returns {Promise<{ disposition: string, outcome: Object }>}
+     */
+    async extract(transcript, settings) {
+        const fields = this.getOutcomeFields(settings);
+        const transcriptText = transcript
+            .map(turn => `${turn.role === 'agent' ? 'Agent' : 'Caller'}: ${turn.text}`)
+            .join('\n');
+
+        const response = await this.llmService.generateContent({
+            model: EXTRACTION_MODEL,
+            contents: [{ role: 'user', parts: [{ text: `Transcript:\n${transcriptText}` }] }],
+            config: { systemInstruction: this.buildInstruction(fields) }
+        });
+
+        const parsed = this.parseResponse(response.text);
+        const disposition = DISPOSITIONS.includes(parsed.disposition) ? parsed.disposition : 'other';
+
+        const outcome = {};
+        for (const field of fields) {
+            outcome[field.name] = this.coerceValue(field, parsed.fields?.[field.name]);
+        }
+
+        return { disposition, outcome };
+    }
+
+    /**
+     * Extract and store the outcome of a finished call. Calls where the caller
+     * never spoke are skipped, since there is nothing to extract from.
+     * @param {Object} call - { callRecordId, contactId, settings, transcript }
+     */
+    async processCall({ callRecordId, contactId, settings, transcript }) {
+        if (!callRecordId) return null;
+
+        const transcriptText = transcript
+            .map(turn => `${turn.role === 'agent' ? 'Agent' : 'User'}: ${turn.text}`)
+            .join('\n');
+        await this.mysqlPool.execute(
+            'UPDATE calls SET transcript = ? WHERE id = ?',
+            [transcriptText || null, callRecordId]
+        );
+
+        if (!transcript.some(turn => turn.role === 'user')) return null;
+
+        const { disposition, outcome } = await this.extract(transcript, settings);
+
+        await this.mysqlPool.execute(
+            'UPDATE calls SET disposition = ?, outcome = ?, outcome_extracted_at = NOW() WHERE id = ?',
+            [disposition, JSON.stringify(outcome), callRecordId]
+        );
+        if (contactId) {
+            await this.mysqlPool.execute(
+                'UPDATE campaign_contacts SET disposition = ?, outcome = ? WHERE id = ?',
+                [disposition, JSON.stringify(outcome), contactId]
+            );
+        }
+
+        console.log(`🏷️ Call ${callRecordId} disposition: ${disposition}`, outcome);
+        return { disposition, outcome };
+    }
+}
+
+module.exports = CallOutcomeService;
+module.exports.DISPOSITIONS = DISPOSITIONS;
+module.exports.OUTCOME_FIELD_TYPES = OUTCOME_FIELD_TYPES;
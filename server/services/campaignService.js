@@ -1,5 +1,48 @@
 const { v4: uuidv4 } = require('uuid');
+const { EventEmitter } = require('events');
+const os = require('os');
 const twilio = require('twilio');
+const nodeFetch = require('node-fetch');
+const DncService = require('./dncService.js');
+const {
+    UNRESTRICTED_CALLING_WINDOW,
+    isValidTimeZone,
+    isWithinCallingWindow,
+    nextCallingWindowStart
+} = require('../utils/callingHours.js');
+const { normalizeToE164 } = require('../utils/contactImporter.js');
+
+// Give up on the agent's prefetch webhook after this long so the call still goes out
+const PREFETCH_TIMEOUT_MS = 5000;
+
+// Call outcomes a campaign may choose to retry
+const RETRYABLE_STATUSES = ['busy', 'no-answer', 'failed', 'canceled', 'voicemail'];
+const DEFAULT_RETRY_POLICY = { maxAttempts: 1, retryDelayMinutes: 60, retryStatuses: ['busy', 'no-answer'] };
+
+// Longest processCampaign sleeps before re-checking for due retries and finished calls
+const RETRY_POLL_MS = 30000;
+// A contact still 'calling' after this long is assumed lost and no longer holds the campaign open
+const STALE_CALL_MINUTES = 60;
+// Rough cost of one call, reserved per call in flight when checking the wallet
+const CALL_BALANCE_RESERVE = 0.10;
+
+// Campaign jobs: a worker refreshes its job's heartbeat while dialing. A running job whose
+// heartbeat is older than JOB_STALE_SECONDS is taken over by the next scan.
+const JOB_HEARTBEAT_MS = 30000;
+const JOB_STALE_SECONDS = 120;
+const JOB_SCAN_INTERVAL_MS = 60000;
+// A job that throws is restarted with a growing delay before the campaign is cancelled
+const MAX_JOB_ATTEMPTS = 3;
+const JOB_RETRY_DELAY_MS = 60000;
+
+const TERMINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Contacts inserted per statement when importing a file
+const IMPORT_BATCH_SIZE = 1000;
+
+// How often to look again once every caller number has hit its daily cap
+const CALLER_CAP_POLL_MS = 15 * 60000;
+const CALLER_ROTATIONS = ['round_robin', 'least_used'];
 
 class CampaignService {
     constructor(mysqlPool, walletService, costCalculator) {
@@ -7,6 +50,14 @@ class CampaignService {
         this.walletService = walletService;
         this.costCalculator = costCalculator;
         this.activeCampaigns = new Map(); // Track running campaigns
+        this.runningJobs = new Map(); // Campaign id -> state of the processCampaign loop in this process
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.callerCursors = new Map(); // campaignId -> round-robin position in the caller pool
+        this.dncService = new DncService(mysqlPool);
+
+        // Emits 'call-ended' when a campaign call frees its slot, waking dialers waiting for capacity
+        this.callEvents = new EventEmitter();
+        this.callEvents.setMaxListeners(0);
 
         // Initialize Twilio client
         this.twilioClient = twilio(
@@ -53,11 +104,12 @@ class CampaignService {
                 campaignId,
                 contact.phone_number,
                 contact.name || null,
-                contact.metadata ? JSON.stringify(contact.metadata) : null
+                contact.metadata ? JSON.stringify(contact.metadata) : null,
+                contact.timezone || contact.metadata?.timezone || null
             ]);
 
             await this.mysqlPool.query(
-                `INSERT INTO campaign_contacts (id, campaign_id, phone_number, name, metadata)
+                `INSERT INTO campaign_contacts (id, campaign_id, phone_number, name, metadata, timezone)
          VALUES ?`,
                 [values]
             );
@@ -77,6 +129,61 @@ class CampaignService {
         }
     }
 
+    /**
+     * Import contacts parsed from an uploaded file. Numbers already in the campaign,
+     * or repeated in the file, are skipped and reported alongside the parse errors.
+     * @param {Object} parsed - Output of buildContacts: { contacts, errors }
+     * @returns {Object} - { imported, skipped, errors: [{ row, phone, error }] }
+     */
+    async importContacts(campaignId, userId, parsed, defaultCountry = null) {
+        const [campaigns] = await this.mysqlPool.execute(
+            'SELECT id FROM campaigns WHERE id = ? AND user_id = ?',
+            [campaignId, userId]
+        );
+        if (campaigns.length === 0) {
+            throw new Error('Campaign not found');
+        }
+
+        // Older rows may predate E.164 normalization, so compare them normalized too
+        const [existing] = await this.mysqlPool.execute(
+            'SELECT phone_number FROM campaign_contacts WHERE campaign_id = ?',
+            [campaignId]
+        );
+        const seen = new Set(existing.map(({ phone_number }) => {
+            const normalized = normalizeToE164(phone_number, defaultCountry);
+            return normalized.phone || phone_number;
+        }));
+
+        const errors = [...parsed.errors];
+        const contacts = [];
+        for (const contact of parsed.contacts) {
+            if (seen.has(contact.phone_number)) {
+                errors.push({ row: contact.rowNumber, phone: contact.phone_number, error: 'Duplicate number, already in this campaign' });
+                continue;
+            }
+            seen.add(contact.phone_number);
+            contacts.push(contact);
+        }
+
+        for (let i = 0; i < contacts.length; i += IMPORT_BATCH_SIZE) {
+            await this.addContacts(campaignId, contacts.slice(i, i + IMPORT_BATCH_SIZE));
+        }
+
+        // Remembered so Do-Not-Call entries in national format match this campaign's numbers
+        if (defaultCountry) {
+            await this.ensureCampaignSettings(campaignId);
+            await this.mysqlPool.execute(
+                'UPDATE campaign_settings SET default_country = ? WHERE campaign_id = ?',
+                [String(defaultCountry).toUpperCase(), campaignId]
+            );
+        }
+
+        errors.sort((a, b) => a.row - b.row);
+        console.log(`📥 Imported ${contacts.length} contacts into campaign ${campaignId} (${errors.length} rows skipped)`);
+
+        return { imported: contacts.length, skipped: errors.length, errors };
+    }
+
     /**
      * Start a campaign
      */
@@ -137,6 +244,13 @@ class CampaignService {
                 throw new Error('Campaign is already running or does not exist');
             }
 
+            await this.mysqlPool.execute(
+                `INSERT INTO campaign_jobs (id, campaign_id, user_id, status)
+         VALUES (?, ?, ?, 'running')
+         ON DUPLICATE KEY UPDATE status = 'running', worker_id = NULL, heartbeat_at = NULL, attempts = 0, last_error = NULL`,
+                [uuidv4(), campaignId, userId]
+            );
+
             // Mark as active in memory (processCampaign will be called from server.js)
             this.activeCampaigns.set(campaignId, { status: 'running' });
 
@@ -151,9 +265,22 @@ class CampaignService {
      * Process campaign - make calls to all contacts
      */
     async processCampaign(campaignId, userId) {
+        if (this.runningJobs.has(campaignId)) return;
+        const run = { status: 'running', lastHeartbeat: Date.now() };
+        this.runningJobs.set(campaignId, run);
+        this.activeCampaigns.set(campaignId, run);
+
         try {
+            // Another worker may own the job, or it was paused before we got here
+            if (!(await this.claimJob(campaignId))) {
+                console.log(`⏭️ Campaign ${campaignId} job is not available to this worker`);
+                return;
+            }
+
             console.log(`📞 Starting campaign ${campaignId}`);
-            this.activeCampaigns.set(campaignId, { status: 'running' });
+
+            // Settle calls left 'calling' by a previous worker before counting slots
+            await this.reconcileCallingContacts(campaignId);
 
             // Get campaign details
             const [campaigns] = await this.mysqlPool.execute(
@@ -179,85 +306,684 @@ class CampaignService {
                 [campaignId]
             );
             const campaignSettings = settings[0] || { call_interval_seconds: 5 };
+            const retryPolicy = this.getRetryPolicy(campaignSettings);
+            const maxConcurrentCalls = Math.max(1, Number(campaignSettings.max_concurrent_calls) || 1);
+            console.log(`📶 Up to ${maxConcurrentCalls} simultaneous calls, ${campaignSettings.caller_rotation || 'round_robin'} caller rotation`);
+            console.log(`🔁 Up to ${retryPolicy.maxAttempts} attempts per contact, retrying ${retryPolicy.retryStatuses.join(', ') || 'nothing'} after ${retryPolicy.retryDelayMinutes} min`);
+
+            // Contacts without their own timezone are called in the campaign's, then the agent's
+            const schedule = this.getSchedule(campaignSettings);
+            const defaultTimeZone = [schedule.timezone, agentSettings?.agentTimezone].find(isValidTimeZone) || 'UTC';
+
+            if (schedule.startAt && schedule.startAt > new Date()) {
+                console.log(`🕐 Campaign ${campaignId} scheduled to start at ${schedule.startAt.toISOString()}`);
+                if (!(await this.sleepWhileRunning(campaignId, run, schedule.startAt - Date.now()))) return;
+            }
 
-            // Get pending contacts
-            const [contacts] = await this.mysqlPool.execute(
-                `SELECT * FROM campaign_contacts 
+            // Each pass dials every contact that is due; retries become due once their
+            // delay has passed, so keep making passes until nothing is left to dial
+            let stopped = false;
+            while (!stopped) {
+                if (schedule.endAt && new Date() >= schedule.endAt) {
+                    console.log(`🕐 Campaign ${campaignId} reached its scheduled end`);
+                    await this.completeCampaign(campaignId);
+                    break;
+                }
+
+                const [contacts] = await this.mysqlPool.execute(
+                    `SELECT * FROM campaign_contacts 
          WHERE campaign_id = ? AND status = 'pending'
-         ORDER BY created_at ASC`,
-                [campaignId]
-            );
+           AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+         ORDER BY attempts ASC, created_at ASC`,
+                    [campaignId]
+                );
 
-            console.log(`📋 Found ${contacts.length} contacts to call`);
+                if (contacts.length > 0) {
+                    console.log(`📋 Found ${contacts.length} contacts to call`);
+                }
 
-            // Process each contact
-            for (const contact of contacts) {
-                // Check if campaign is still running
-                const campaignState = this.activeCampaigns.get(campaignId);
-                if (!campaignState || campaignState.status !== 'running') {
-                    console.log(`⏸️ Campaign ${campaignId} paused or stopped`);
-                    break;
+                // Reloaded each pass so pool changes apply to a running campaign
+                const callerPool = await this.getCallerPool(campaign);
+                if (callerPool.length === 0) {
+                    throw new Error('No active Twilio number found');
                 }
+                let callerCapsReached = false;
+
+                // Earliest time a contact skipped for calling hours becomes callable
+                let nextWindowOpensAt = null;
+                let outsideWindow = 0;
+
+                // Process each contact
+                for (const contact of contacts) {
+                    await this.heartbeat(campaignId, run);
+
+                    // Check if campaign is still running
+                    if (!this.isRunning(campaignId, run)) {
+                        console.log(`⏸️ Campaign ${campaignId} paused or stopped`);
+                        stopped = true;
+                        break;
+                    }
+
+                    // Only call within the allowed hours in the contact's timezone
+                    const timeZone = isValidTimeZone(contact.timezone) ? contact.timezone : defaultTimeZone;
+                    const now = new Date();
+                    if (!isWithinCallingWindow(now, schedule.window, timeZone)) {
+                        const opensAt = nextCallingWindowStart(now, schedule.window, timeZone);
+                        if (opensAt && (!nextWindowOpensAt || opensAt < nextWindowOpensAt)) {
+                            nextWindowOpensAt = opensAt;
+                        }
+                        outsideWindow++;
+                        continue;
+                    }
+
+                    if (schedule.endAt && now >= schedule.endAt) break;
+
+                    // Wait for a free slot under the campaign and user limits, and a caller
+                    // number with spare capacity and calls left today
+                    let inFlight;
+                    let callerNumber = null;
+                    while (this.isRunning(campaignId, run)) {
+                        inFlight = await this.getInFlightCalls(campaignId, userId);
+                        if (this.hasDialCapacity(inFlight, maxConcurrentCalls)) {
+                            const selection = await this.selectCallerNumber(campaignId, userId, callerPool, contact, inFlight, campaignSettings);
+                            callerNumber = selection.number;
+                            callerCapsReached = selection.capsReached;
+                            if (callerNumber || callerCapsReached) break;
+                        }
+                        await this.sleepWhileRunning(campaignId, run, RETRY_POLL_MS, { untilCallEnds: true });
+                    }
+                    if (!this.isRunning(campaignId, run)) {
+                        stopped = true;
+                        break;
+                    }
+                    if (callerCapsReached) {
+                        console.log(`📵 Campaign ${campaignId}: every caller number has reached its daily cap`);
+                        break;
+                    }
+
+                    // Check the balance covers this call and those already in flight
+                    const balanceCheck = await this.walletService.checkBalanceForCall(userId, CALL_BALANCE_RESERVE * (inFlight.user + 1));
+                    if (!balanceCheck.allowed) {
+                        console.error(`❌ Insufficient balance, pausing campaign ${campaignId}`);
+                        await this.pauseCampaign(campaignId);
+                        stopped = true;
+                        break;
+                    }
+
+                    // Never dial numbers on the user's Do-Not-Call list
+                    if (await this.dncService.isBlocked(userId, contact.phone_number, campaignSettings.default_country)) {
+                        console.log(`🚫 Skipping ${contact.phone_number}: on Do-Not-Call list`);
+                        await this.mysqlPool.execute(
+                            `UPDATE campaign_contacts
+         SET status = 'dnc', error_message = 'Number is on the Do-Not-Call list', next_attempt_at = NULL, completed_at = NOW()
+         WHERE id = ?`,
+                            [contact.id]
+                        );
+                        continue;
+                    }
+
+                    // Make the call. It runs on its own; the status callback frees the slot when it ends.
+                    await this.makeCall(campaignId, contact, campaign, agentSettings, callerNumber);
+
+                    // Wait between calls once every slot is taken. While slots are free the next
+                    // contact is dialed right away, so raising max_concurrent_calls speeds the campaign up.
+                    if (campaignSettings.call_interval_seconds > 0 &&
+                        !this.hasDialCapacity(await this.getInFlightCalls(campaignId, userId), maxConcurrentCalls)) {
+                        if (!(await this.sleepWhileRunning(campaignId, run, campaignSettings.call_interval_seconds * 1000))) {
+                            stopped = true;
+                            break;
+                        }
+                    }
+                }
+
+                if (stopped || !this.isRunning(campaignId, run)) break;
+
+                // Calls whose status callback never arrived are looked up at Twilio
+                await this.reconcileCallingContacts(campaignId, STALE_CALL_MINUTES);
+
+                // Calls still in progress may come back busy or unanswered and be requeued,
+                // so the campaign is only complete once nothing is pending or ringing
+                const [[remaining]] = await this.mysqlPool.execute(
+                    `SELECT
+           SUM(status = 'pending') AS pending,
+           SUM(status = 'calling') AS calling,
+           TIMESTAMPDIFF(SECOND, NOW(), MIN(CASE WHEN status = 'pending' AND next_attempt_at > NOW() THEN next_attempt_at END)) AS next_retry_in
+         FROM campaign_contacts
+         WHERE campaign_id = ?
+           AND (status = 'pending' OR (status = 'calling' AND last_attempt_at > NOW() - INTERVAL ? MINUTE))`,
+                    [campaignId, STALE_CALL_MINUTES]
+                );
 
-                // Check user balance before each call
-                const balanceCheck = await this.walletService.checkBalanceForCall(userId, 0.10);
-                if (!balanceCheck.allowed) {
-                    console.error(`❌ Insufficient balance, pausing campaign ${campaignId}`);
-                    await this.pauseCampaign(campaignId);
+                if (!Number(remaining.pending) && !Number(remaining.calling)) {
+                    await this.completeCampaign(campaignId);
                     break;
                 }
 
-                // Make the call
-                await this.makeCall(campaignId, contact, campaign, agentSettings);
-
-                // Wait between calls
-                if (campaignSettings && campaignSettings.call_interval_seconds > 0) {
-                    await new Promise(resolve =>
-                        setTimeout(resolve, campaignSettings.call_interval_seconds * 1000)
-                    );
+                // Sleep until the next retry is due, a calling window opens, a call may
+                // have finished or the schedule ends, whichever comes first
+                const wakeups = [];
+                if (remaining.next_retry_in !== null) wakeups.push(Math.max(Number(remaining.next_retry_in), 1) * 1000);
+                if (nextWindowOpensAt) wakeups.push(nextWindowOpensAt - Date.now());
+                if (Number(remaining.calling) || (outsideWindow > 0 && !nextWindowOpensAt)) wakeups.push(RETRY_POLL_MS);
+                if (callerCapsReached) wakeups.push(CALLER_CAP_POLL_MS);
+                if (schedule.endAt) wakeups.push(schedule.endAt - Date.now());
+                const waitMs = wakeups.length > 0 ? Math.max(Math.min(...wakeups), 1000) : 1000;
+
+                if (outsideWindow > 0) {
+                    console.log(`🌙 Campaign ${campaignId}: ${outsideWindow} contacts outside calling hours${nextWindowOpensAt ? `, next window opens at ${nextWindowOpensAt.toISOString()}` : ''}`);
                 }
+                console.log(`⏳ Campaign ${campaignId}: ${Number(remaining.pending)} contacts pending, ${Number(remaining.calling)} calls in progress`);
+                stopped = !(await this.sleepWhileRunning(campaignId, run, waitMs, { untilCallEnds: Number(remaining.calling) > 0 }));
             }
 
-            // Mark campaign as completed
-            await this.completeCampaign(campaignId);
-
         } catch (error) {
             console.error(`Error processing campaign ${campaignId}:`, error);
+            await this.handleJobError(campaignId, userId, error);
+        } finally {
+            // A stop and restart may already have handed the campaign to a new loop
+            if (this.activeCampaigns.get(campaignId) === run) this.activeCampaigns.delete(campaignId);
+            if (this.runningJobs.get(campaignId) === run) this.runningJobs.delete(campaignId);
+        }
+    }
+
+    /**
+     * Resume running campaign jobs that no live worker owns, now and on an interval.
+     * Called once when the server starts.
+     */
+    startJobWorker() {
+        this.resumeCampaigns().catch(err => console.error('Error resuming campaigns:', err));
+        this.jobScanTimer = setInterval(() => {
+            this.resumeCampaigns().catch(err => console.error('Error resuming campaigns:', err));
+        }, JOB_SCAN_INTERVAL_MS);
+        this.jobScanTimer.unref();
+    }
+
+    async resumeCampaigns() {
+        const [jobs] = await this.mysqlPool.execute(
+            `SELECT j.campaign_id, j.user_id
+       FROM campaign_jobs j
+       JOIN campaigns c ON c.id = j.campaign_id
+       WHERE j.status = 'running' AND c.status = 'running'
+         AND (j.worker_id IS NULL OR j.worker_id = ? OR j.heartbeat_at IS NULL
+              OR j.heartbeat_at < NOW() - INTERVAL ? SECOND)`,
+            [this.workerId, JOB_STALE_SECONDS]
+        );
+
+        for (const job of jobs) {
+            if (this.runningJobs.has(job.campaign_id)) continue;
+
+            console.log(`♻️ Resuming campaign ${job.campaign_id}`);
+            this.processCampaign(job.campaign_id, job.user_id).catch(err => {
+                console.error('Error processing campaign:', err);
+            });
+        }
+    }
+
+    /**
+     * Take ownership of a running job. Fails if it isn't running or another
+     * worker's heartbeat is still fresh.
+     */
+    async claimJob(campaignId) {
+        const [result] = await this.mysqlPool.execute(
+            `UPDATE campaign_jobs SET worker_id = ?, heartbeat_at = NOW()
+       WHERE campaign_id = ? AND status = 'running'
+         AND (worker_id IS NULL OR worker_id = ? OR heartbeat_at IS NULL
+              OR heartbeat_at < NOW() - INTERVAL ? SECOND)`,
+            [this.workerId, campaignId, this.workerId, JOB_STALE_SECONDS]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Refresh the job heartbeat (at most every JOB_HEARTBEAT_MS). Stops the local loop
+     * if the job was paused, deleted or taken over elsewhere.
+     */
+    async heartbeat(campaignId, run) {
+        if (!this.isRunning(campaignId, run) || Date.now() - (run.lastHeartbeat || 0) < JOB_HEARTBEAT_MS) return;
+        run.lastHeartbeat = Date.now();
+
+        try {
+            const [result] = await this.mysqlPool.execute(
+                `UPDATE campaign_jobs SET heartbeat_at = NOW()
+         WHERE campaign_id = ? AND worker_id = ? AND status = 'running'`,
+                [campaignId, this.workerId]
+            );
+            if (result.affectedRows === 0) {
+                console.log(`⏸️ Campaign ${campaignId} job is no longer running on this worker`);
+                run.status = 'paused';
+            }
+        } catch (error) {
+            // Keep dialing through a database blip; the next heartbeat tries again
+            console.error(`⚠️ Campaign ${campaignId} heartbeat failed:`, error.message);
+        }
+    }
+
+    async setJobStatus(campaignId, status) {
+        await this.mysqlPool.execute(
+            'UPDATE campaign_jobs SET status = ? WHERE campaign_id = ?',
+            [status, campaignId]
+        );
+    }
+
+    /**
+     * Restart a job that threw, with a growing delay. After MAX_JOB_ATTEMPTS the
+     * campaign is cancelled.
+     */
+    async handleJobError(campaignId, userId, error) {
+        try {
+            await this.mysqlPool.execute(
+                'UPDATE campaign_jobs SET attempts = attempts + 1, last_error = ?, worker_id = NULL WHERE campaign_id = ?',
+                [error.message, campaignId]
+            );
+            const [jobs] = await this.mysqlPool.execute(
+                'SELECT attempts, status FROM campaign_jobs WHERE campaign_id = ?',
+                [campaignId]
+            );
+            const job = jobs[0];
+
+            if (job && job.status === 'running' && job.attempts < MAX_JOB_ATTEMPTS) {
+                const delay = JOB_RETRY_DELAY_MS * job.attempts;
+                console.log(`🔁 Restarting campaign ${campaignId} in ${delay / 1000}s (attempt ${job.attempts + 1}/${MAX_JOB_ATTEMPTS})`);
+                setTimeout(() => {
+                    this.processCampaign(campaignId, userId).catch(err => {
+                        console.error('Error processing campaign:', err);
+                    });
+                }, delay);
+                return;
+            }
+
+            await this.setJobStatus(campaignId, 'failed');
             await this.mysqlPool.execute(
                 `UPDATE campaigns SET status = 'cancelled' WHERE id = ?`,
                 [campaignId]
             );
-        } finally {
-            this.activeCampaigns.delete(campaignId);
+        } catch (err) {
+            console.error(`Error recording failure for campaign ${campaignId}:`, err);
         }
     }
 
     /**
-     * Make a call to a contact
+     * Settle contacts stuck in 'calling' using Twilio's view of the call. Contacts that
+     * were claimed but never dialed go back to pending without using up an attempt.
+     * @param {number} [olderThanMinutes] - Only check calls placed at least this long ago
      */
-    async makeCall(campaignId, contact, campaign, agentSettings) {
+    async reconcileCallingContacts(campaignId, olderThanMinutes = 0) {
+        const [contacts] = await this.mysqlPool.execute(
+            `SELECT cc.id, cc.call_id, cl.call_sid
+       FROM campaign_contacts cc
+       LEFT JOIN calls cl ON cl.id = cc.call_id
+       WHERE cc.campaign_id = ? AND cc.status = 'calling'
+         AND cc.last_attempt_at <= NOW() - INTERVAL ? MINUTE`,
+            [campaignId, olderThanMinutes]
+        );
+
+        for (const contact of contacts) {
+            try {
+                if (!contact.call_sid) {
+                    await this.mysqlPool.execute(
+                        `UPDATE campaign_contacts SET status = 'pending', attempts = GREATEST(attempts - 1, 0)
+         WHERE id = ? AND status = 'calling'`,
+                        [contact.id]
+                    );
+                    this.callEvents.emit('call-ended', campaignId);
+                    continue;
+                }
+
+                const call = await this.twilioClient.calls(contact.call_sid).fetch();
+                if (!TERMINAL_CALL_STATUSES.includes(call.status)) continue;
+
+                await this.mysqlPool.execute(
+                    'UPDATE calls SET status = ?, duration = ?, ended_at = COALESCE(ended_at, NOW()) WHERE id = ?',
+                    [call.status, parseInt(call.duration) || 0, contact.call_id]
+                );
+                await this.handleCallStatus(contact.id, contact.call_id, call.status, call.duration);
+                console.log(`🔄 Reconciled contact ${contact.id} from Twilio: ${call.status}`);
+            } catch (error) {
+                if (error.status === 404) {
+                    await this.recordAttemptOutcome(contact.id, 'failed', { errorMessage: 'Call not found at Twilio' });
+                } else {
+                    console.error(`⚠️ Could not reconcile contact ${contact.id}:`, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether a processCampaign loop should keep dialing. A loop whose campaign was
+     * stopped and started again has been replaced by the new loop.
+     */
+    isRunning(campaignId, run) {
+        return run.status === 'running' && this.activeCampaigns.get(campaignId) === run;
+    }
+
+    /**
+     * Stop the campaign's loop in this process and forget it, so starting the
+     * campaign again begins a new loop right away instead of waiting for the old
+     * one to wind down
+     */
+    releaseCampaign(campaignId) {
+        const campaignState = this.activeCampaigns.get(campaignId);
+        if (campaignState) {
+            campaignState.status = 'paused';
+        }
+        this.activeCampaigns.delete(campaignId);
+        this.runningJobs.delete(campaignId);
+    }
+
+    /**
+     * Sleep in short steps so a pause is noticed promptly.
+     * With untilCallEnds, also wake as soon as any campaign call ends.
+     * Returns false if the campaign stopped running while waiting.
+     */
+    async sleepWhileRunning(campaignId, run, ms, { untilCallEnds = false } = {}) {
+        const deadline = Date.now() + ms;
+        let callEnded = false;
+        const onCallEnded = () => { callEnded = true; };
+        if (untilCallEnds) this.callEvents.on('call-ended', onCallEnded);
+
         try {
-            console.log(`📞 Calling ${contact.phone_number} (${contact.name || 'Unknown'})`);
+            while (Date.now() < deadline && !callEnded) {
+                await this.heartbeat(campaignId, run);
+                if (!this.isRunning(campaignId, run)) return false;
+                await new Promise(resolve => setTimeout(resolve, Math.min(untilCallEnds ? 1000 : 5000, deadline - Date.now())));
+            }
+        } finally {
+            this.callEvents.removeListener('call-ended', onCallEnded);
+        }
+        return this.isRunning(campaignId, run);
+    }
+
+    /**
+     * Count campaign calls in flight for this campaign, across the user's campaigns,
+     * and per caller number. A call is in flight from dialing until its status
+     * callback moves the contact out of 'calling'.
+     */
+    async getInFlightCalls(campaignId, userId) {
+        const [rows] = await this.mysqlPool.execute(
+            `SELECT cc.campaign_id = ? AS this_campaign, cl.from_number, COUNT(*) AS calls
+       FROM campaign_contacts cc
+       JOIN campaigns cp ON cp.id = cc.campaign_id
+       LEFT JOIN calls cl ON cl.id = cc.call_id
+       WHERE cp.user_id = ? AND cc.status = 'calling' AND cc.last_attempt_at > NOW() - INTERVAL ? MINUTE
+       GROUP BY this_campaign, cl.from_number`,
+            [campaignId, userId, STALE_CALL_MINUTES]
+        );
+
+        const [users] = await this.mysqlPool.execute(
+            'SELECT max_concurrent_calls FROM users WHERE id = ?',
+            [userId]
+        );
+
+        const inFlight = {
+            campaign: 0,
+            user: 0,
+            byNumber: new Map(),
+            userLimit: Number(users[0]?.max_concurrent_calls) || null
+        };
+        for (const row of rows) {
+            const calls = Number(row.calls);
+            inFlight.user += calls;
+            if (Number(row.this_campaign)) inFlight.campaign += calls;
+            if (row.from_number) {
+                inFlight.byNumber.set(row.from_number, (inFlight.byNumber.get(row.from_number) || 0) + calls);
+            }
+        }
+        return inFlight;
+    }
 
-            // Update contact status
+    hasDialCapacity(inFlight, maxConcurrentCalls) {
+        if (inFlight.campaign >= maxConcurrentCalls) return false;
+        if (inFlight.userLimit && inFlight.user >= inFlight.userLimit) return false;
+        return true;
+    }
+
+    /**
+     * Numbers a campaign dials from: its caller pool, else the campaign's phone
+     * number, else the user's first number
+     */
+    async getCallerPool(campaign) {
+        const columns = 'n.id, n.phone_number, n.max_concurrent_calls, n.daily_call_cap';
+
+        const [pool] = await this.mysqlPool.execute(
+            `SELECT ${columns}
+       FROM campaign_caller_numbers ccn
+       JOIN user_twilio_numbers n ON n.id = ccn.phone_number_id
+       WHERE ccn.campaign_id = ? AND n.user_id = ?
+       ORDER BY ccn.created_at, n.phone_number`,
+            [campaign.id, campaign.user_id]
+        );
+        if (pool.length > 0) return pool;
+
+        if (campaign.phone_number_id) {
+            const [numbers] = await this.mysqlPool.execute(
+                `SELECT ${columns} FROM user_twilio_numbers n WHERE n.id = ? AND n.user_id = ?`,
+                [campaign.phone_number_id, campaign.user_id]
+            );
+            if (numbers.length > 0) return numbers;
+        }
+
+        const [fallback] = await this.mysqlPool.execute(
+            `SELECT ${columns} FROM user_twilio_numbers n WHERE n.user_id = ? LIMIT 1`,
+            [campaign.user_id]
+        );
+        return fallback;
+    }
+
+    /**
+     * Outbound calls placed today from each number, across all of the user's calls
+     */
+    async getCallerUsageToday(userId, phoneNumbers) {
+        if (phoneNumbers.length === 0) return new Map();
+
+        const [rows] = await this.mysqlPool.query(
+            `SELECT from_number, COUNT(*) AS calls
+       FROM calls
+       WHERE user_id = ? AND call_type = 'twilio_outbound' AND started_at >= CURDATE() AND from_number IN (?)
+       GROUP BY from_number`,
+            [userId, phoneNumbers]
+        );
+        return new Map(rows.map(row => [row.from_number, Number(row.calls)]));
+    }
+
+    /**
+     * How closely a caller number matches the contact: the number of leading digits
+     * they share, up to country code plus area code (e.g. +1 415)
+     */
+    localPresenceScore(callerPhone, contactPhone) {
+        const caller = String(callerPhone || '').replace(/\D/g, '');
+        const contact = String(contactPhone || '').replace(/\D/g, '');
+        let score = 0;
+        while (score < 4 && score < caller.length && caller[score] === contact[score]) score++;
+        return score;
+    }
+
+    /**
+     * Pick the number to place a call from. Numbers at their daily cap or concurrency
+     * limit are skipped; local presence narrows to the closest match; rotation picks
+     * among the rest.
+     * @returns {Promise<{ number: Object|null, capsReached: boolean }>}
+     */
+    async selectCallerNumber(campaignId, userId, pool, contact, inFlight, campaignSettings) {
+        const usage = await this.getCallerUsageToday(userId, pool.map(n => n.phone_number));
+
+        const underCap = pool.filter(n => !n.daily_call_cap || (usage.get(n.phone_number) || 0) < n.daily_call_cap);
+        if (underCap.length === 0) return { number: null, capsReached: true };
+
+        let candidates = underCap.filter(n =>
+            !n.max_concurrent_calls || (inFlight.byNumber.get(n.phone_number) || 0) < n.max_concurrent_calls
+        );
+        if (candidates.length === 0) return { number: null, capsReached: false };
+
+        if (campaignSettings.local_presence !== 0 && campaignSettings.local_presence !== false) {
+            const scored = candidates.map(n => ({ n, score: this.localPresenceScore(n.phone_number, contact.phone_number) }));
+            const best = Math.max(...scored.map(c => c.score));
+            candidates = scored.filter(c => c.score === best).map(c => c.n);
+        }
+
+        if (campaignSettings.caller_rotation === 'least_used') {
+            const fewest = Math.min(...candidates.map(n => usage.get(n.phone_number) || 0));
+            return { number: candidates.find(n => (usage.get(n.phone_number) || 0) === fewest), capsReached: false };
+        }
+
+        // Round robin: the next number after the last one used, in pool order
+        const cursor = this.callerCursors.get(campaignId) ?? -1;
+        const next = candidates.find(n => pool.indexOf(n) > cursor) || candidates[0];
+        this.callerCursors.set(campaignId, pool.indexOf(next));
+        return { number: next, capsReached: false };
+    }
+
+    /**
+     * Read the retry rules from a campaign_settings row
+     */
+    getRetryPolicy(settings) {
+        if (!settings || settings.max_attempts == null) return { ...DEFAULT_RETRY_POLICY };
+
+        const retryStatuses = String(settings.retry_statuses || '')
+            .split(',')
+            .map(status => status.trim())
+            .filter(status => RETRYABLE_STATUSES.includes(status));
+
+        return {
+            maxAttempts: Math.max(1, Number(settings.max_attempts) || 1),
+            retryDelayMinutes: Math.max(0, Number(settings.retry_delay_minutes) || 0),
+            retryStatuses
+        };
+    }
+
+    /**
+     * Read the schedule and calling window from a campaign_settings row. New campaigns
+     * get the default window from the column defaults; campaigns without a settings
+     * row predate calling windows and are not restricted.
+     */
+    getSchedule(settings) {
+        const days = String(settings?.calling_days || '')
+            .split(',')
+            .map(Number)
+            .filter(day => day >= 1 && day <= 7);
+
+        return {
+            startAt: settings?.scheduled_start_at ? new Date(settings.scheduled_start_at) : null,
+            endAt: settings?.scheduled_end_at ? new Date(settings.scheduled_end_at) : null,
+            window: {
+                start: settings?.calling_window_start || UNRESTRICTED_CALLING_WINDOW.start,
+                end: settings?.calling_window_end || UNRESTRICTED_CALLING_WINDOW.end,
+                days: days.length > 0 ? days : UNRESTRICTED_CALLING_WINDOW.days
+            },
+            timezone: settings?.timezone || null
+        };
+    }
+
+    /**
+     * Record how a call attempt ended. Retryable outcomes put the contact back in the
+     * queue after the campaign's retry delay until it runs out of attempts; anything
+     * else is final.
+     * @param {string} outcome - completed, busy, no-answer, failed, canceled or voicemail
+     * @param {Object} [options]
+     * @param {string} [options.errorMessage]
+     * @param {number} [options.duration] - Call duration in seconds
+     * @param {boolean} [options.forceRetry] - Retry even if the campaign doesn't list this outcome (agent voicemailAction 'retry')
+     * @returns {Promise<{ retry: boolean, status: string }|null>}
+     */
+    async recordAttemptOutcome(contactId, outcome, { errorMessage = null, duration = null, forceRetry = false } = {}) {
+        const [contacts] = await this.mysqlPool.execute(
+            `SELECT cc.id, cc.campaign_id, cc.attempts, cs.max_attempts, cs.retry_delay_minutes, cs.retry_statuses
+       FROM campaign_contacts cc
+       LEFT JOIN campaign_settings cs ON cs.campaign_id = cc.campaign_id
+       WHERE cc.id = ?`,
+            [contactId]
+        );
+
+        if (contacts.length === 0) return null;
+
+        const contact = contacts[0];
+        const policy = this.getRetryPolicy(contact);
+        const retryable = forceRetry || policy.retryStatuses.includes(outcome);
+
+        if (retryable && contact.attempts < policy.maxAttempts) {
             await this.mysqlPool.execute(
-                `UPDATE campaign_contacts 
-         SET status = 'calling', attempts = attempts + 1, last_attempt_at = NOW()
+                `UPDATE campaign_contacts
+         SET status = 'pending', error_message = ?, completed_at = NULL,
+             next_attempt_at = NOW() + INTERVAL ? MINUTE
          WHERE id = ?`,
-                [contact.id]
+                [errorMessage || outcome, policy.retryDelayMinutes, contactId]
             );
+            this.callEvents.emit('call-ended', contact.campaign_id);
+            console.log(`🔁 Contact ${contactId} ${outcome}, retrying in ${policy.retryDelayMinutes} min (attempt ${contact.attempts}/${policy.maxAttempts})`);
+            return { retry: true, status: 'pending' };
+        }
 
-            // Get Twilio phone number for this user
-            const [twilioNumbers] = await this.mysqlPool.execute(
-                'SELECT phone_number FROM user_twilio_numbers WHERE user_id = ? LIMIT 1',
-                [campaign.user_id]
-            );
+        await this.mysqlPool.execute(
+            `UPDATE campaign_contacts
+       SET status = ?, error_message = ?, call_duration = COALESCE(?, call_duration),
+           next_attempt_at = NULL, completed_at = NOW()
+       WHERE id = ?`,
+            [outcome, outcome === 'completed' ? null : (errorMessage || outcome), duration, contactId]
+        );
+        this.callEvents.emit('call-ended', contact.campaign_id);
+
+        await this.mysqlPool.execute(
+            `UPDATE campaigns SET
+         completed_calls = completed_calls + IF(? = 'completed', 1, 0),
+         successful_calls = successful_calls + IF(? = 'completed', 1, 0),
+         failed_calls = failed_calls + IF(? IN ('failed', 'busy', 'no-answer', 'canceled', 'voicemail'), 1, 0)
+       WHERE id = ?`,
+            [outcome, outcome, outcome, contact.campaign_id]
+        );
+
+        return { retry: false, status: outcome };
+    }
+
+    /**
+     * Apply Twilio's final call status to the campaign contact that was dialed.
+     * Ignored once the contact has moved on (e.g. voicemail was already handled).
+     */
+    async handleCallStatus(contactId, callId, callStatus, duration = null) {
+        const [contacts] = await this.mysqlPool.execute(
+            'SELECT status, call_id FROM campaign_contacts WHERE id = ?',
+            [contactId]
+        );
+
+        if (contacts.length === 0 || contacts[0].status !== 'calling') return null;
+        if (callId && contacts[0].call_id && contacts[0].call_id !== callId) return null;
+
+        return this.recordAttemptOutcome(contactId, callStatus, {
+            duration: duration != null ? parseInt(duration) : null
+        });
+    }
+
+    /**
+     * Make a call to a contact
+     */
+    async makeCall(campaignId, contact, campaign, agentSettings, callerNumber = null) {
+        // Claim the contact; it may have been deleted or handled while waiting for a slot
+        const [claimed] = await this.mysqlPool.execute(
+            `UPDATE campaign_contacts 
+       SET status = 'calling', attempts = attempts + 1, last_attempt_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+            [contact.id]
+        );
+        if (claimed.affectedRows === 0) {
+            return { success: false, skipped: true };
+        }
+
+        try {
+            console.log(`📞 Calling ${contact.phone_number} (${contact.name || 'Unknown'})`);
+
+            // Pull personalization data from the customer's CRM before dialing
+            if (agentSettings?.prefetchDataWebhook) {
+                await this.prefetchContactData(agentSettings.prefetchDataWebhook, contact, campaign);
+            }
 
-            if (twilioNumbers.length === 0) {
+            if (!callerNumber) {
+                [callerNumber] = await this.getCallerPool(campaign);
+            }
+
+            if (!callerNumber) {
                 throw new Error('No active Twilio number found');
             }
 
-            const fromNumber = twilioNumbers[0].phone_number;
+            const fromNumber = callerNumber.phone_number;
+            const callId = uuidv4();
 
             // Create TwiML URL with campaign parameters
             const twimlUrl = `${process.env.BASE_URL || 'https://ziyavoice-production.up.railway.app'}/api/twilio/voice?` +
@@ -266,20 +992,33 @@ class CampaignService {
                 `campaignId=${campaignId}&` +
                 `contactId=${contact.id}`;
 
-            // Make the call using Twilio
-            const call = await this.twilioClient.calls.create({
+            const callParams = {
                 from: fromNumber,
                 to: contact.phone_number,
                 url: twimlUrl,
-                statusCallback: `${process.env.BASE_URL || 'https://ziyavoice-production.up.railway.app'}/api/twilio/status`,
+                statusCallback: `${process.env.BASE_URL || 'https://ziyavoice-production.up.railway.app'}/api/twilio/status?` +
+                    `callId=${callId}&contactId=${contact.id}`,
                 statusCallbackEvent: ['completed'],
                 statusCallbackMethod: 'POST'
-            });
+            };
+
+            // Answering machine detection runs asynchronously so the agent can start
+            // talking right away; the result is posted to /api/twilio/amd-status
+            if (agentSettings?.voicemailDetection) {
+                const action = agentSettings.voicemailAction || 'hangup';
+                // Leaving a message requires waiting for the beep at the end of the greeting
+                callParams.machineDetection = action === 'leave_message' ? 'DetectMessageEnd' : 'Enable';
+                callParams.asyncAmd = 'true';
+                callParams.asyncAmdStatusCallback = `${process.env.BASE_URL || 'https://ziyavoice-production.up.railway.app'}/api/twilio/amd-status`;
+                callParams.asyncAmdStatusCallbackMethod = 'POST';
+            }
+
+            // Make the call using Twilio
+            const call = await this.twilioClient.calls.create(callParams);
 
             console.log(`✅ Call initiated: ${call.sid}`);
 
             // Create comprehensive call record for call history
-            const callId = uuidv4();
             await this.mysqlPool.execute(
                 `INSERT INTO calls (
                     id, user_id, agent_id, call_sid, from_number, to_number, 
@@ -295,7 +1034,7 @@ class CampaignService {
                     'initiated',  // Initial status
                     'twilio_outbound',   // Must match ENUM: 'twilio_inbound', 'twilio_outbound', 'web_call'
                     campaignId,
-                    campaign.phone_number_id || null  // Use campaign's phone_number_id
+                    callerNumber.id || null  // The pool number this call was placed from
                 ]
             );
 
@@ -312,24 +1051,132 @@ class CampaignService {
         } catch (error) {
             console.error(`Error making call to ${contact.phone_number}:`, error);
 
-            // Mark contact as failed
-            await this.mysqlPool.execute(
-                `UPDATE campaign_contacts 
-         SET status = 'failed', error_message = ?, completed_at = NOW()
-         WHERE id = ?`,
-                [error.message, contact.id]
-            );
+            // Requeue or mark the contact as failed
+            await this.recordAttemptOutcome(contact.id, 'failed', { errorMessage: error.message });
+
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * POST the contact and campaign details to the agent's prefetch webhook and
+     * store the JSON response on the contact as metadata.prefetched. The media
+     * stream handler merges these values into the agent prompt when the call connects.
+     * Failures are logged and never block the call.
+     */
+    async prefetchContactData(webhookUrl, contact, campaign) {
+        try {
+            const metadata = typeof contact.metadata === 'string'
+                ? JSON.parse(contact.metadata)
+                : (contact.metadata || {});
+
+            const response = await nodeFetch(webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    event: 'call.prefetch',
+                    contact: {
+                        id: contact.id,
+                        phoneNumber: contact.phone_number,
+                        name: contact.name || null,
+                        metadata
+                    },
+                    campaign: {
+                        id: campaign.id,
+                        name: campaign.name,
+                        agentId: campaign.agent_id
+                    }
+                }),
+                timeout: PREFETCH_TIMEOUT_MS
+            });
+
+            if (!response.ok) {
+                throw new Error(`Webhook responded with ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('Webhook response must be a JSON object');
+            }
 
-            // Update campaign failed calls count
             await this.mysqlPool.execute(
-                'UPDATE campaigns SET failed_calls = failed_calls + 1 WHERE id = ?',
-                [campaignId]
+                'UPDATE campaign_contacts SET metadata = ? WHERE id = ?',
+                [JSON.stringify({ ...metadata, prefetched: data }), contact.id]
             );
 
-            return { success: false, error: error.message };
+            console.log(`📥 Prefetched ${Object.keys(data).length} fields for ${contact.phone_number}`);
+            return data;
+        } catch (error) {
+            console.error(`⚠️ Prefetch webhook failed for ${contact.phone_number}:`, error.message);
+            return null;
         }
     }
 
+    /**
+     * Record an answering machine detection result for a campaign call.
+     * Returns the voicemail action to take when a machine answered.
+     */
+    async handleAnsweredBy(callSid, answeredBy) {
+        const [calls] = await this.mysqlPool.execute(
+            `SELECT c.id, c.campaign_id, a.settings
+       FROM calls c
+       LEFT JOIN agents a ON c.agent_id = a.id
+       WHERE c.call_sid = ?`,
+            [callSid]
+        );
+
+        if (calls.length === 0) {
+            console.warn(`⚠️ No call record found for AMD result on ${callSid}`);
+            return { isMachine: false };
+        }
+
+        const call = calls[0];
+        const agentSettings = typeof call.settings === 'string'
+            ? JSON.parse(call.settings)
+            : (call.settings || {});
+
+        // machine_start, machine_end_beep, machine_end_silence, machine_end_other and fax
+        const isMachine = !!answeredBy && (answeredBy.startsWith('machine') || answeredBy === 'fax');
+        const action = isMachine ? (agentSettings.voicemailAction || 'hangup') : null;
+
+        // calls.status keeps following Twilio's call status; answered_by records the machine
+        await this.mysqlPool.execute(
+            'UPDATE calls SET answered_by = ?, voicemail_action = ? WHERE id = ?',
+            [answeredBy, action, call.id]
+        );
+
+        await this.mysqlPool.execute(
+            'UPDATE campaign_contacts SET answered_by = ? WHERE call_id = ?',
+            [answeredBy, call.id]
+        );
+
+        if (isMachine) {
+            // Voicemail is retried when the campaign lists it as retryable or the agent's
+            // voicemail action is 'retry', within the campaign's attempt limit
+            const [contacts] = await this.mysqlPool.execute(
+                `SELECT id FROM campaign_contacts WHERE call_id = ? AND status = 'calling'`,
+                [call.id]
+            );
+            for (const contact of contacts) {
+                await this.recordAttemptOutcome(contact.id, 'voicemail', { forceRetry: action === 'retry' });
+            }
+            console.log(`📭 Voicemail detected on ${callSid} (${answeredBy}), action: ${action}`);
+        }
+
+        return {
+            isMachine,
+            action,
+            message: agentSettings.voicemailMessage || ''
+        };
+    }
+
+    /**
+     * Hang up a live call
+     */
+    async hangupCall(callSid) {
+        await this.twilioClient.calls(callSid).update({ status: 'completed' });
+    }
+
     /**
      * Pause a campaign
      */
@@ -339,10 +1186,8 @@ class CampaignService {
             [campaignId]
         );
 
-        const campaignState = this.activeCampaigns.get(campaignId);
-        if (campaignState) {
-            campaignState.status = 'paused';
-        }
+        await this.setJobStatus(campaignId, 'paused');
+        this.releaseCampaign(campaignId);
     }
 
     /**
@@ -353,6 +1198,7 @@ class CampaignService {
             `UPDATE campaigns SET status = 'completed', completed_at = NOW() WHERE id = ?`,
             [campaignId]
         );
+        await this.setJobStatus(campaignId, 'completed');
         console.log(`✅ Campaign ${campaignId} completed`);
     }
 
@@ -402,6 +1248,11 @@ class CampaignService {
             [campaignId]
         );
 
+        const [settings] = await this.mysqlPool.execute(
+            'SELECT * FROM campaign_settings WHERE campaign_id = ?',
+            [campaignId]
+        );
+
         // Map database fields to frontend-expected fields
         const mappedRecords = records.map(record => ({
             ...record,
@@ -411,7 +1262,11 @@ class CampaignService {
 
         return {
             campaign,
-            records: mappedRecords
+            records: mappedRecords,
+            retryPolicy: this.getRetryPolicy(settings[0]),
+            maxConcurrentCalls: Number(settings[0]?.max_concurrent_calls) || 1,
+            callerPool: await this.getCallerPoolSettings(campaign, settings[0]),
+            schedule: this.getSchedule(settings[0])
         };
     }
 
@@ -615,6 +1470,15 @@ class CampaignService {
                 throw new Error('Campaign not found or access denied');
             }
 
+            await this.mysqlPool.execute(
+                'DELETE FROM campaign_jobs WHERE campaign_id = ?',
+                [campaignId]
+            );
+            await this.mysqlPool.execute(
+                'DELETE FROM campaign_caller_numbers WHERE campaign_id = ?',
+                [campaignId]
+            );
+
             // Delete campaign (cascade will handle contacts and settings)
             await this.mysqlPool.execute(
                 'DELETE FROM campaigns WHERE id = ? AND user_id = ?',
@@ -711,6 +1575,233 @@ class CampaignService {
         }
     }
 
+    /**
+     * Create the campaign_settings row for campaigns made before settings existed
+     */
+    async ensureCampaignSettings(campaignId) {
+        const [settings] = await this.mysqlPool.execute(
+            'SELECT id FROM campaign_settings WHERE campaign_id = ?',
+            [campaignId]
+        );
+        if (settings.length === 0) {
+            await this.mysqlPool.execute(
+                'INSERT INTO campaign_settings (id, campaign_id) VALUES (?, ?)',
+                [uuidv4(), campaignId]
+            );
+        }
+    }
+
+    /**
+     * Update a campaign's retry rules
+     * @param {Object} policy - { maxAttempts, retryDelayMinutes, retryStatuses }
+     */
+    async updateRetryPolicy(campaignId, userId, policy) {
+        const [campaigns] = await this.mysqlPool.execute(
+            'SELECT id FROM campaigns WHERE id = ? AND user_id = ?',
+            [campaignId, userId]
+        );
+        if (campaigns.length === 0) {
+            throw new Error('Campaign not found');
+        }
+
+        const maxAttempts = parseInt(policy.maxAttempts);
+        const retryDelayMinutes = parseInt(policy.retryDelayMinutes);
+        if (!(maxAttempts >= 1 && maxAttempts <= 10)) {
+            throw new Error('Max attempts must be between 1 and 10');
+        }
+        if (!(retryDelayMinutes >= 0)) {
+            throw new Error('Retry delay must be zero or more minutes');
+        }
+
+        const retryStatuses = policy.retryStatuses || [];
+        const invalid = retryStatuses.filter(status => !RETRYABLE_STATUSES.includes(status));
+        if (invalid.length > 0) {
+            throw new Error(`Statuses cannot be retried: ${invalid.join(', ')}`);
+        }
+
+        await this.ensureCampaignSettings(campaignId);
+        await this.mysqlPool.execute(
+            `UPDATE campaign_settings SET max_attempts = ?, retry_delay_minutes = ?, retry_statuses = ?
+       WHERE campaign_id = ?`,
+            [maxAttempts, retryDelayMinutes, retryStatuses.join(','), campaignId]
+        );
+
+        return { maxAttempts, retryDelayMinutes, retryStatuses };
+    }
+
+    /**
+     * The user's numbers with their pool membership, daily cap and calls today,
+     * plus the campaign's rotation settings
+     */
+    async getCallerPoolSettings(campaign, settings) {
+        const [numbers] = await this.mysqlPool.execute(
+            `SELECT n.id, n.phone_number, n.daily_call_cap, ccn.phone_number_id IS NOT NULL AS in_pool
+       FROM user_twilio_numbers n
+       LEFT JOIN campaign_caller_numbers ccn ON ccn.phone_number_id = n.id AND ccn.campaign_id = ?
+       WHERE n.user_id = ?
+       ORDER BY n.created_at`,
+            [campaign.id, campaign.user_id]
+        );
+        const usage = await this.getCallerUsageToday(campaign.user_id, numbers.map(n => n.phone_number));
+
+        return {
+            numbers: numbers.map(n => ({
+                id: n.id,
+                phoneNumber: n.phone_number,
+                inPool: !!Number(n.in_pool),
+                dailyCallCap: n.daily_call_cap,
+                callsToday: usage.get(n.phone_number) || 0
+            })),
+            rotation: settings?.caller_rotation || 'round_robin',
+            localPresence: settings ? !!Number(settings.local_presence ?? 1) : true
+        };
+    }
+
+    /**
+     * Replace a campaign's caller pool and rotation settings. Daily caps belong to
+     * the numbers themselves and apply across all campaigns.
+     * @param {Object} pool - { phoneNumberIds, rotation, localPresence, dailyCaps: { [phoneNumberId]: number|null } }
+     */
+    async updateCallerPool(campaignId, userId, pool) {
+        const [campaigns] = await this.mysqlPool.execute(
+            'SELECT * FROM campaigns WHERE id = ? AND user_id = ?',
+            [campaignId, userId]
+        );
+        if (campaigns.length === 0) {
+            throw new Error('Campaign not found');
+        }
+
+        const rotation = pool.rotation || 'round_robin';
+        if (!CALLER_ROTATIONS.includes(rotation)) {
+            throw new Error(`Unknown caller rotation: ${rotation}`);
+        }
+
+        const [owned] = await this.mysqlPool.execute(
+            'SELECT id FROM user_twilio_numbers WHERE user_id = ?',
+            [userId]
+        );
+        const ownedIds = new Set(owned.map(n => n.id));
+        const phoneNumberIds = [...new Set(pool.phoneNumberIds || [])];
+        const unknown = phoneNumberIds.filter(id => !ownedIds.has(id));
+        if (unknown.length > 0) {
+            throw new Error('Caller numbers must be your own Twilio numbers');
+        }
+
+        const dailyCaps = Object.entries(pool.dailyCaps || {})
+            .filter(([phoneNumberId]) => ownedIds.has(phoneNumberId))
+            .map(([phoneNumberId, cap]) => [phoneNumberId, cap === null || cap === '' ? null : parseInt(cap)]);
+        if (dailyCaps.some(([, cap]) => cap !== null && !(cap >= 1))) {
+            throw new Error('Daily caps must be at least 1 call');
+        }
+
+        await this.mysqlPool.execute(
+            'DELETE FROM campaign_caller_numbers WHERE campaign_id = ?',
+            [campaignId]
+        );
+        for (const phoneNumberId of phoneNumberIds) {
+            await this.mysqlPool.execute(
+                'INSERT INTO campaign_caller_numbers (campaign_id, phone_number_id) VALUES (?, ?)',
+                [campaignId, phoneNumberId]
+            );
+        }
+
+        await this.ensureCampaignSettings(campaignId);
+        await this.mysqlPool.execute(
+            'UPDATE campaign_settings SET caller_rotation = ?, local_presence = ? WHERE campaign_id = ?',
+            [rotation, pool.localPresence !== false, campaignId]
+        );
+
+        for (const [phoneNumberId, dailyCap] of dailyCaps) {
+            await this.mysqlPool.execute(
+                'UPDATE user_twilio_numbers SET daily_call_cap = ? WHERE id = ? AND user_id = ?',
+                [dailyCap, phoneNumberId, userId]
+            );
+        }
+
+        return this.getCallerPoolSettings(campaigns[0], { caller_rotation: rotation, local_presence: pool.localPresence !== false ? 1 : 0 });
+    }
+
+    /**
+     * Set how many calls a campaign keeps in flight at once
+     */
+    async updateConcurrency(campaignId, userId, maxConcurrentCalls) {
+        const [campaigns] = await this.mysqlPool.execute(
+            'SELECT id FROM campaigns WHERE id = ? AND user_id = ?',
+            [campaignId, userId]
+        );
+        if (campaigns.length === 0) {
+            throw new Error('Campaign not found');
+        }
+
+        const limit = parseInt(maxConcurrentCalls);
+        if (!(limit >= 1 && limit <= 100)) {
+            throw new Error('Simultaneous calls must be between 1 and 100');
+        }
+
+        await this.ensureCampaignSettings(campaignId);
+        await this.mysqlPool.execute(
+            'UPDATE campaign_settings SET max_concurrent_calls = ? WHERE campaign_id = ?',
+            [limit, campaignId]
+        );
+
+        return { maxConcurrentCalls: limit };
+    }
+
+    /**
+     * Update a campaign's schedule and calling window. A window may run overnight
+     * (20:00 to 02:00); equal start and end times allow calls all day.
+     * @param {Object} schedule - { startAt, endAt, window: { start, end, days }, timezone }
+     */
+    async updateSchedule(campaignId, userId, schedule) {
+        const [campaigns] = await this.mysqlPool.execute(
+            'SELECT id FROM campaigns WHERE id = ? AND user_id = ?',
+            [campaignId, userId]
+        );
+        if (campaigns.length === 0) {
+            throw new Error('Campaign not found');
+        }
+
+        const startAt = schedule.startAt ? new Date(schedule.startAt) : null;
+        const endAt = schedule.endAt ? new Date(schedule.endAt) : null;
+        if ((startAt && isNaN(startAt)) || (endAt && isNaN(endAt))) {
+            throw new Error('Invalid start or end date');
+        }
+        if (startAt && endAt && startAt >= endAt) {
+            throw new Error('End date must be after the start date');
+        }
+
+        const window = schedule.window || {};
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if (!timePattern.test(window.start) || !timePattern.test(window.end)) {
+            throw new Error('Calling window must be HH:MM times');
+        }
+
+        const days = [...new Set((window.days || []).map(Number))].filter(day => day >= 1 && day <= 7).sort();
+        if (days.length === 0) {
+            throw new Error('Select at least one calling day');
+        }
+
+        if (schedule.timezone && !isValidTimeZone(schedule.timezone)) {
+            throw new Error(`Unknown timezone: ${schedule.timezone}`);
+        }
+
+        await this.ensureCampaignSettings(campaignId);
+        await this.mysqlPool.execute(
+            `UPDATE campaign_settings
+       SET scheduled_start_at = ?, scheduled_end_at = ?, calling_window_start = ?, calling_window_end = ?,
+           calling_days = ?, timezone = ?
+       WHERE campaign_id = ?`,
+            [startAt, endAt, window.start, window.end, days.join(','), schedule.timezone || null, campaignId]
+        );
+
+        return {
+            startAt,
+            endAt,
+            window: { start: window.start, end: window.end, days },
+            timezone: schedule.timezone || null
+        };
+    }
+
     /**
      * Stop/pause a campaign
      */
@@ -720,12 +1811,10 @@ class CampaignService {
                 `UPDATE campaigns SET status = 'paused' WHERE id = ? AND user_id = ?`,
                 [campaignId, userId]
             );
+            await this.setJobStatus(campaignId, 'paused');
 
             // Update in-memory state
-            const campaignState = this.activeCampaigns.get(campaignId);
-            if (campaignState) {
-                campaignState.status = 'paused';
-            }
+            this.releaseCampaign(campaignId);
 
             return { success: true, message: 'Campaign paused' };
         } catch (error) {
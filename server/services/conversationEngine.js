@@ -0,0 +1,1093 @@
+// Transport-agnostic conversation engine shared by the voice handlers.
+// The engine owns everything about a conversation that doesn't depend on how audio
+// travels: agent config and prompts, context, turn-taking and barge-in, streaming LLM
+// replies with tool calls, TTS, timeouts, usage and end-of-call billing. Handlers keep
+// their own speech-to-text and plug into the engine through a channel (see Channel below),
+// so every agent setting behaves the same on phone calls and in the browser.
+const { v4: uuidv4 } = require('uuid');
+const WalletService = require('./walletService.js');
+const CostCalculator = require('./costCalculator.js');
+const WebhookService = require('./webhookService.js');
+const DncService = require('./dncService.js');
+const KnowledgeBaseService = require('./knowledgeBaseService.js');
+const CallOutcomeService = require('./callOutcomeService.js');
+const CallLogService = require('./callLogService.js');
+const AgentToolService = require('./agentToolService.js');
+const { generateTTS, getTTSProvider } = require('./tts_controller.js');
+const { isValidDtmf } = require('../utils/dtmf.js');
+const { resolvePreActionPhrase } = require('../utils/preActionPhrases.js');
+const { renderTemplate, escapeValue } = require('../utils/promptTemplate.js');
+const { createSentenceChunker } = require('../utils/sentenceChunker.js');
+const { startSessionTimers, clearSessionTimers } = require('../utils/sessionTimers.js');
+const { MAX_TOOL_ROUNDS, TOOL_USAGE_PROMPT, CALL_CONTROL_PROMPTS } = AgentToolService;
+
+/**
+ * @typedef {Object} Channel
+ * @property {{ transfer: boolean, dtmf: boolean, doNotCall: boolean }} capabilities - Call controls
+ *   the transport supports; the matching agent settings are ignored elsewhere
+ * @property {Object} ttsOptions - Extra generateTTS options for the transport's audio format
+ * @property {number} audioBytesPerSecond - Playback rate of that format, used to work out what was heard
+ * @property {Function} sendAudio - (session, buffer, generation) => Promise resolved once the buffer
+ *   has played. Should stop early once session.playbackGeneration moves on.
+ * @property {Function} stopAudio - (session) discard audio the transport has buffered
+ * @property {Function} hangup - (session) end the call or connection
+ * @property {Function} [showText] - (session, text, role) display a turn, for channels with a screen
+ * @property {Function} [sendDtmf] - (session, digits) needed for capabilities.dtmf
+ * @property {Function} [transferCall] - (session) connect session.pendingTransfer; needed for capabilities.transfer
+ */
+
+const DEFAULT_PROMPT = "You are a helpful AI assistant.";
+const DEFAULT_VOICE_ID = "21m00Tcm4TlvDq8ikWAM";
+const DEFAULT_GREETING = "Hello! How can I help you today?";
+const DEFAULT_TRANSFER_MESSAGE = "Please hold while I transfer you to a member of our team.";
+const DEFAULT_MODEL = "models/gemini-2.5-flash";
+
+// Barge-in: caller speech interrupts the agent once STT is this confident it heard words.
+// Agents with overrideVAD use their own voiceDetectionConfidenceThreshold instead.
+const DEFAULT_BARGE_IN_CONFIDENCE = 0.5;
+// Interim results need a couple of words so a cough or "mm" doesn't cut the agent off
+const BARGE_IN_MIN_INTERIM_WORDS = 2;
+
+class ConversationEngine {
+    constructor(llmService, mysqlPool = null) {
+        this.llmService = llmService;
+        this.mysqlPool = mysqlPool;
+        this.agentTools = new AgentToolService();
+        this.callLogs = new CallLogService(mysqlPool);
+
+        // Initialize wallet and cost tracking services
+        if (mysqlPool) {
+            this.walletService = new WalletService(mysqlPool);
+            this.costCalculator = new CostCalculator(mysqlPool, this.walletService);
+            this.webhookService = new WebhookService(mysqlPool);
+            this.dncService = new DncService(mysqlPool);
+            this.knowledgeBase = new KnowledgeBaseService(mysqlPool);
+            this.callOutcomes = new CallOutcomeService(mysqlPool, llmService);
+        }
+    }
+
+    /**
+     * Make sure the user can pay for a call before it starts
+     * @returns {Promise<{ allowed: boolean, balance?: number, message?: string }>}
+     */
+    async checkBalance(userId) {
+        if (!userId || !this.walletService) return { allowed: true };
+
+        const balanceCheck = await this.walletService.checkBalanceForCall(userId, 0.10);
+        if (balanceCheck.allowed) {
+            console.log(`✅ Balance check passed: $${balanceCheck.balance.toFixed(4)}`);
+        } else {
+            console.error(`❌ Insufficient balance for user ${userId}: ${balanceCheck.message}`);
+        }
+        return balanceCheck;
+    }
+
+    async loadAgent(userId, agentId) {
+        try {
+            const AgentService = require('./agentService.js');
+            const agentService = new AgentService(require('../config/database.js').default);
+            const agent = await agentService.getAgentById(userId, agentId);
+            if (!agent) console.error(`❌ Agent ${agentId} not found in database for userId ${userId}`);
+            return agent;
+        } catch (err) {
+            console.error("⚠️  Error loading agent:", err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Set up a conversation for a channel: load the agent, build its prompt and
+     * greeting, and declare its tools. Call startConversation once the transport is ready.
+     * @param {Channel} channel
+     * @param {Object} options
+     * @param {string} options.callId - The channel's id for the conversation
+     * @param {string} [options.identity] - Prompt to use when the agent has none
+     * @param {string} [options.voiceId] - Voice to use when the agent has none
+     * @param {string|null} [options.sttProvider] - Usage key STT time is billed under
+     */
+    async createSession(channel, { callId, userId = null, agentId = null, identity = null, voiceId = null, callSid = null, campaignId = null, contactId = null, sttProvider = 'deepgram' }) {
+        const agent = agentId ? await this.loadAgent(userId, agentId) : null;
+        const settings = agent?.settings || {};
+        const tools = settings.tools || [];
+        const { capabilities } = channel;
+
+        let agentPrompt = agent?.identity || identity || DEFAULT_PROMPT;
+        if (tools.length > 0) agentPrompt += TOOL_USAGE_PROMPT;
+        if (settings.agentCanTerminateCall) agentPrompt += CALL_CONTROL_PROMPTS.endCall;
+        if (settings.dtmfDial && capabilities.dtmf) agentPrompt += CALL_CONTROL_PROMPTS.sendDtmf;
+        if (settings.doNotCallDetection && capabilities.doNotCall) agentPrompt += CALL_CONTROL_PROMPTS.addToDoNotCall;
+
+        // Live transfer to a human agent
+        const transferTarget = settings.callTransfer && capabilities.transfer ? settings.transferNumber || null : null;
+        if (transferTarget) agentPrompt += CALL_CONTROL_PROMPTS.transferCall;
+
+        // Personalize the identity and greeting for this contact, campaign and agent
+        const promptContext = await this.loadPromptContext({ contactId, campaignId }, {
+            name: agent?.name || null,
+            timezone: settings.agentTimezone || null
+        });
+        const renderedPrompt = renderTemplate(agentPrompt, promptContext.variables);
+        const renderedGreeting = renderTemplate(settings.greetingLine || DEFAULT_GREETING, promptContext.variables);
+
+        const session = {
+            callId,
+            channel,
+            userId,
+            agentId,
+            callSid,
+            campaignId,
+            contactId,
+            callRecordId: null, // id of the matching row in the calls table
+            agentPrompt: renderedPrompt.text + this.formatCallerInformation(promptContext.summaryFields),
+            agentVoiceId: agent?.voiceId || voiceId || DEFAULT_VOICE_ID,
+            greetingMessage: renderedGreeting.text,
+            missingVariables: [...renderedPrompt.missing, ...renderedGreeting.missing],
+            model: agent?.model?.startsWith('gemini') ? `models/${agent.model}` : DEFAULT_MODEL,
+            settings, // Agent settings loaded for this call
+            tools,
+            toolset: null, // Functions declared to Gemini for this call
+            transferTarget, // Phone number or SIP address for live transfers
+            transferMessage: settings.transferMessage || DEFAULT_TRANSFER_MESSAGE,
+            canTerminateCall: !!settings.agentCanTerminateCall,
+            canSendDtmf: !!settings.dtmfDial && capabilities.dtmf,
+            detectDoNotCall: !!settings.doNotCallDetection && capabilities.doNotCall,
+            sttProvider,
+            context: [],
+            isVoicemail: false, // Set once answering machine detection reports a machine
+            pendingHangup: false,
+            pendingTransfer: null,
+            pendingDtmf: null,
+            isSpeaking: false, // Track if agent is currently speaking
+            lastUserSpeechTime: null, // Track when user last spoke
+            lastAgentSpeechTime: null, // When the agent last finished speaking
+            fixedTimeoutTimer: null,
+            silenceCheckInterval: null,
+            inactivityPromptCount: 0, // "Are you still there?" nudges since the user last spoke
+            toolResults: [], // Tool calls made during the call, sent with the end-of-call webhook
+            playbackChain: Promise.resolve(), // Audio buffers play one after another on this chain
+            queuedPlaybacks: 0, // Buffers queued or playing
+            speechChain: Promise.resolve(), // Keeps synthesized sentences in order while TTS runs in parallel
+            pendingSpeech: 0, // Sentences still being synthesized
+            playbackGeneration: 0, // Bumped on interruption; audio from an older generation is dropped
+            ttsAbort: new AbortController(), // Cancels in-flight TTS requests on interruption
+            replyInProgress: false, // The LLM is still producing the current reply
+            heardReply: [], // Sentences of the current reply that finished playing
+            nowPlaying: null, // { text, startedAt, durationMs } for the reply sentence being played
+            replyContextIndex: null, // Index of the current reply in context, once added
+            interruptedReply: null,
+            turnTiming: null, // Latency checkpoints for the current user turn
+            knowledgeIndex: null, // Search index over the agent's documents
+            knowledgePassages: [], // Passages retrieved for the current user turn
+            endReason: null,
+            ended: false,
+            startTime: new Date(),
+            endTime: null,
+            // Usage tracking for billing
+            usage: {
+                twilio: 0,        // minutes
+                deepgram: 0,      // seconds
+                gemini: 0,        // tokens
+                elevenlabs: 0,    // characters
+                sarvam: 0         // characters
+            }
+        };
+
+        session.toolset = this.agentTools.createToolset(tools, this.getBuiltinFunctions(session));
+        if (agentId && this.knowledgeBase) {
+            session.knowledgeIndex = await this.knowledgeBase.getAgentIndex(agentId, settings.knowledgeDocIds);
+        }
+
+        console.log(`✅ Created session for call ${callId}${agent ? ` with agent ${agent.name}` : ''} (${tools.length} tools)`);
+        console.log(`   Voice ID: ${session.agentVoiceId}`);
+        console.log(`   Prompt: ${session.agentPrompt.substring(0, 100)}...`);
+        return session;
+    }
+
+    /**
+     * Start the session's timeouts and greet the user
+     */
+    startConversation(session, { greetingDelayMs = 500 } = {}) {
+        if (session.missingVariables.length > 0) {
+            const names = [...new Set(session.missingVariables.map(m => m.variable))];
+            console.warn(`⚠️ Missing prompt variables: ${names.join(', ')}`);
+            this.callLogs.log(session, 'template', `Missing prompt variables: ${names.join(', ')}`, {
+                missing: session.missingVariables
+            });
+        }
+
+        startSessionTimers(session, {
+            onTimeout: reason => this.endSessionForTimeout(session, reason),
+            onInactive: () => this.sendInactivityPrompt(session)
+        });
+
+        setTimeout(async () => {
+            if (session.ended || session.pendingHangup) return;
+            try {
+                console.log(`👋 Sending greeting for call ${session.callId}: "${session.greetingMessage}"`);
+                this.showText(session, session.greetingMessage, 'model');
+                const audio = await this.synthesizeTTS(session, session.greetingMessage);
+                if (audio && audio.length > 0) {
+                    this.playAudio(session, audio);
+                } else {
+                    console.error("❌ Greeting audio is empty or null");
+                }
+            } catch (err) {
+                console.error("❌ Greeting error:", err);
+            }
+        }, greetingDelayMs);
+    }
+
+    /**
+     * Wrap up a finished conversation: charge for usage, store the transcript and
+     * outcome, and send the end-of-call webhook. Safe to call more than once.
+     */
+    endSession(session) {
+        if (session.ended) return Promise.resolve();
+        session.ended = true;
+        clearSessionTimers(session);
+
+        session.endTime = new Date();
+        session.endReason = session.endReason || 'caller_hangup';
+
+        const charge = this.chargeSession(session);
+
+        // Store the transcript and extract the call's outcome and disposition
+        let outcome = Promise.resolve(null);
+        if (this.callOutcomes) {
+            outcome = this.callLogs.resolveCallRecordId(session)
+                .then(callRecordId => this.callOutcomes.processCall({
+                    callRecordId,
+                    contactId: session.contactId,
+                    settings: session.settings,
+                    transcript: this.getTranscript(session)
+                }))
+                .catch(err => {
+                    console.error('❌ Error extracting call outcome:', err.message);
+                    return null;
+                });
+        }
+
+        let webhook = Promise.resolve();
+        if (session.settings?.endOfCallWebhook) {
+            webhook = Promise.all([charge, outcome])
+                .then(([costResult, callOutcome]) => this.sendEndOfCallWebhook(session, costResult, callOutcome))
+                .catch(err => console.error('❌ Error sending end-of-call webhook:', err.message));
+        }
+
+        console.log(`❌ Ended session for call ${session.callId}`);
+        return Promise.all([charge, outcome, webhook]);
+    }
+
+    /**
+     * Charge the user for everything the session used
+     * @returns {Promise<Object|null>} - The cost calculator's result
+     */
+    async chargeSession(session) {
+        if (!session.userId || !this.costCalculator) return null;
+
+        try {
+            console.log('💰 Calculating call costs...', session.usage);
+            const callRecordId = await this.callLogs.resolveCallRecordId(session);
+            const result = await this.costCalculator.recordAndCharge(
+                session.userId,
+                callRecordId || session.callId,
+                session.usage
+            );
+            console.log(`✅ Charged user ${session.userId}: $${result.totalCharged.toFixed(4)}`);
+            console.log('   Breakdown:', result.breakdown);
+            return result;
+        } catch (err) {
+            console.error('❌ Error charging user:', err.message);
+            if (err.message === 'Insufficient balance') {
+                console.warn(`⚠️ User ${session.userId} ended call with insufficient balance`);
+            }
+            return null;
+        }
+    }
+
+    appendToContext(session, text, role) {
+        session.context.push({ role, parts: [{ text }] });
+        console.log(`💬 ${role.toUpperCase()}: ${text}`);
+    }
+
+    /**
+     * Show a turn on channels that have a screen
+     */
+    showText(session, text, role) {
+        if (text && session.channel.showText) session.channel.showText(session, text, role);
+    }
+
+    /**
+     * Handle a speech-to-text result. Confident speech while the agent talks interrupts
+     * it; final results start a turn.
+     * @param {{ transcript: string, confidence?: number, words?: Array }} alternative
+     * @param {number} [durationSeconds] - Audio length, when the STT reports it
+     */
+    async handleTranscript(session, alternative, isFinal, durationSeconds = null) {
+        const transcript = alternative?.transcript;
+        if (!transcript?.trim()) return;
+
+        // Don't spend LLM/TTS credits talking to an answering machine
+        // or on a call the agent is already hanging up
+        if (session.isVoicemail || session.pendingHangup || session.ended) return;
+
+        // Caller talking over the agent: stop it as soon as interim results
+        // are confident enough, and treat anything quieter as noise
+        if (this.isAgentTalking(session) && !session.pendingTransfer) {
+            if (!this.isBargeIn(session, alternative, isFinal)) return;
+            this.interruptAgent(session);
+        }
+
+        // Only process final transcripts
+        if (!isFinal) return;
+
+        console.log(`🎤 User said: "${transcript}"`);
+        session.lastUserSpeechTime = Date.now();
+        session.inactivityPromptCount = 0;
+
+        // Track STT usage, estimating from the word count (avg 2.5 words/second) when needed
+        if (session.sttProvider) {
+            const wordCount = transcript.split(' ').length;
+            session.usage[session.sttProvider] = (session.usage[session.sttProvider] || 0) +
+                (durationSeconds || wordCount / 2.5);
+        }
+
+        this.showText(session, transcript, 'user');
+        await this.handleUserTurn(session, transcript);
+    }
+
+    /**
+     * Run one conversational turn: ask the LLM, then speak the reply or carry out
+     * whatever call action it requested
+     * @param {string} [dtmfDigits] - Set when the turn is keypad input rather than speech
+     */
+    async handleUserTurn(session, userText, dtmfDigits = null) {
+        // A new turn replaces whatever the agent was still saying or preparing
+        if (this.isAgentTalking(session)) this.interruptAgent(session);
+
+        const timing = { sttFinalAt: Date.now() };
+        session.turnTiming = timing;
+        session.heardReply = [];
+        session.replyContextIndex = null;
+        session.replyInProgress = true;
+        const generation = session.playbackGeneration;
+
+        this.appendToContext(session, userText, "user");
+        session.knowledgePassages = dtmfDigits ? [] : this.retrieveKnowledge(session, userText);
+
+        // Plain replies are spoken sentence by sentence while the LLM is still streaming
+        let spokenSentences = 0;
+        let llmResponse;
+        try {
+            llmResponse = await this.callLLM(session, {
+                timing,
+                onSentence: (sentence) => {
+                    spokenSentences++;
+                    this.queueSpeech(session, sentence, timing);
+                }
+            });
+        } finally {
+            if (generation === session.playbackGeneration) session.replyInProgress = false;
+        }
+
+        // Interrupted while the reply was streaming: keep only what the user heard
+        if (generation !== session.playbackGeneration) {
+            const heard = session.interruptedReply;
+            if (heard) {
+                this.appendToContext(session, heard, "model");
+                this.showText(session, heard, 'model');
+            }
+            this.saveCallSegment(session, dtmfDigits ? null : userText, heard || null, dtmfDigits);
+            return;
+        }
+
+        if (session.pendingDtmf) {
+            const digits = session.pendingDtmf;
+            session.pendingDtmf = null;
+            console.log(`☎️ Agent dialing DTMF: ${digits}`);
+            this.appendToContext(session, `(pressed ${digits} on the keypad)`, "model");
+            this.saveCallSegment(session, dtmfDigits ? null : userText, null, dtmfDigits, digits);
+            session.channel.sendDtmf(session, digits);
+            return;
+        }
+
+        this.appendToContext(session, llmResponse, "model");
+        session.replyContextIndex = session.context.length - 1;
+        this.saveCallSegment(session, dtmfDigits ? null : userText, llmResponse, dtmfDigits);
+        this.showText(session, llmResponse, 'model');
+
+        if (session.pendingTransfer) {
+            console.log(`🔀 Transferring call ${session.callId} to ${session.transferTarget}`);
+            await this.speakAndWait(session, llmResponse);
+            await session.channel.transferCall(session);
+            return;
+        }
+
+        if (session.pendingHangup) {
+            console.log(`📴 Agent is ending call ${session.callId}`);
+            await this.speakAndHangup(session, llmResponse);
+            return;
+        }
+
+        if (spokenSentences === 0 && llmResponse) {
+            this.queueSpeech(session, llmResponse, timing);
+        }
+    }
+
+    /**
+     * Synthesize text and queue it for playback. TTS starts right away; playback
+     * waits for anything queued before it, so sentences are heard in order.
+     */
+    queueSpeech(session, text, timing = null) {
+        const generation = session.playbackGeneration;
+        session.pendingSpeech++;
+
+        const audio = this.synthesizeTTS(session, text, { signal: session.ttsAbort.signal })
+            .then(buffer => {
+                if (timing && !timing.firstTtsAt) timing.firstTtsAt = Date.now();
+                return buffer;
+            })
+            .finally(() => {
+                session.pendingSpeech--;
+            });
+
+        session.speechChain = session.speechChain.then(async () => {
+            const buffer = await audio;
+            if (buffer && generation === session.playbackGeneration) this.playAudio(session, buffer, text);
+        });
+        return session.speechChain;
+    }
+
+    /**
+     * Queue audio on the channel. Buffers play one after another, so sentences
+     * synthesized in parallel never interleave.
+     * @param {string} [text] - What the buffer says, used to work out what was heard on interruption
+     * @returns {Promise} - Resolves once this buffer has played
+     */
+    playAudio(session, audioBuffer, text = null) {
+        session.isSpeaking = true;
+        session.queuedPlaybacks++;
+        const generation = session.playbackGeneration;
+
+        session.playbackChain = session.playbackChain
+            .then(async () => {
+                if (generation !== session.playbackGeneration) return;
+
+                const timing = session.turnTiming;
+                if (timing && !timing.firstAudioAt) {
+                    timing.firstAudioAt = Date.now();
+                    this.logTurnLatency(session, timing);
+                }
+
+                if (text) {
+                    const durationMs = audioBuffer.length / session.channel.audioBytesPerSecond * 1000;
+                    session.nowPlaying = { text, startedAt: Date.now(), durationMs };
+                }
+                await session.channel.sendAudio(session, audioBuffer, generation);
+                if (text && generation === session.playbackGeneration) {
+                    session.heardReply.push(text);
+                    session.nowPlaying = null;
+                }
+            })
+            .catch(err => {
+                console.error("❌ Error playing audio:", err);
+            })
+            .finally(() => {
+                session.queuedPlaybacks--;
+                if (session.queuedPlaybacks === 0 && generation === session.playbackGeneration) {
+                    session.isSpeaking = false;
+                    session.lastAgentSpeechTime = Date.now();
+                }
+            });
+        return session.playbackChain;
+    }
+
+    /**
+     * Whether the agent is speaking, has speech queued, or is still working out its reply
+     */
+    isAgentTalking(session) {
+        return session.isSpeaking || session.queuedPlaybacks > 0 || session.pendingSpeech > 0 || session.replyInProgress;
+    }
+
+    /**
+     * Decide whether user speech heard while the agent talks should interrupt it
+     */
+    isBargeIn(session, alternative, isFinal) {
+        const threshold = session.settings.overrideVAD
+            ? Number(session.settings.voiceDetectionConfidenceThreshold ?? DEFAULT_BARGE_IN_CONFIDENCE)
+            : DEFAULT_BARGE_IN_CONFIDENCE;
+        const wordCount = alternative.words?.length || alternative.transcript.trim().split(/\s+/).length;
+
+        return (alternative.confidence ?? 1) >= threshold &&
+            wordCount >= (isFinal ? 1 : BARGE_IN_MIN_INTERIM_WORDS);
+    }
+
+    /**
+     * Silence the agent: drop queued audio, cancel TTS requests still in flight and
+     * have the channel discard whatever it has buffered
+     */
+    stopPlayback(session) {
+        session.playbackGeneration++;
+        session.ttsAbort.abort();
+        session.ttsAbort = new AbortController();
+        session.replyInProgress = false;
+        session.isSpeaking = false;
+        session.lastAgentSpeechTime = Date.now();
+        session.channel.stopAudio(session);
+    }
+
+    /**
+     * The user talked over the agent. Stop speaking and cut the agent's turn in
+     * the context down to what the user actually heard, so the LLM doesn't assume
+     * the rest was said.
+     */
+    interruptAgent(session) {
+        const heard = [...session.heardReply];
+        if (session.nowPlaying) {
+            // Audio plays in real time, so the share of time elapsed is the share heard
+            const { text, startedAt, durationMs } = session.nowPlaying;
+            const words = text.split(/\s+/);
+            const playedShare = durationMs > 0 ? Math.min(1, (Date.now() - startedAt) / durationMs) : 0;
+            const heardWords = Math.floor(words.length * playedShare);
+            if (heardWords > 0) heard.push(`${words.slice(0, heardWords).join(' ')}...`);
+        }
+        const heardText = heard.join(' ');
+
+        this.stopPlayback(session);
+        session.nowPlaying = null;
+        session.heardReply = [];
+        session.interruptedReply = heardText;
+
+        // The reply is already in the context if the LLM finished before the user cut in
+        if (session.replyContextIndex !== null && session.context[session.replyContextIndex]?.role === 'model') {
+            if (heardText) {
+                session.context[session.replyContextIndex].parts = [{ text: heardText }];
+            } else {
+                session.context.splice(session.replyContextIndex, 1);
+            }
+        }
+        session.replyContextIndex = null;
+
+        console.log(`⚠️  User interrupted agent after: "${heardText}"`);
+        this.callLogs.log(session, 'interruption', 'Caller interrupted the agent', { heard: heardText });
+    }
+
+    /**
+     * Log how long the user waited between finishing speaking and hearing the agent
+     */
+    logTurnLatency(session, timing) {
+        const since = (at) => (at ? at - timing.sttFinalAt : null);
+        const latency = {
+            firstAudioMs: since(timing.firstAudioAt),
+            llmFirstTokenMs: since(timing.llmFirstTokenAt),
+            firstSentenceMs: since(timing.firstSentenceAt),
+            firstTtsMs: since(timing.firstTtsAt)
+        };
+
+        console.log(`⏱️ Turn latency: first audio ${latency.firstAudioMs}ms (LLM first token ${latency.llmFirstTokenMs}ms, first sentence ${latency.firstSentenceMs}ms, first TTS ${latency.firstTtsMs}ms)`);
+        this.callLogs.log(session, 'latency', `First audio after ${latency.firstAudioMs}ms`, latency);
+    }
+
+    /**
+     * Speak a message and resolve once it has finished playing
+     */
+    async speakAndWait(session, text) {
+        const audio = await this.synthesizeTTS(session, text);
+        if (audio && audio.length > 0) {
+            // Allow a little slack for network jitter
+            await this.playAudio(session, audio);
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    }
+
+    /**
+     * Speak a final message, wait for it to play out and then hang up
+     */
+    async speakAndHangup(session, text) {
+        await this.speakAndWait(session, text);
+        await session.channel.hangup(session);
+    }
+
+    /**
+     * Say a filler phrase before running a tool so the user isn't left in silence.
+     * Audio is queued without waiting so the tool runs while the phrase plays; the
+     * reply is queued behind it. Returns the phrase so it can be kept with the tool call.
+     */
+    async speakPreActionPhrase(session, tool) {
+        const phrase = await resolvePreActionPhrase(tool, {
+            agentPhrases: session.settings?.preActionPhrases,
+            llmService: this.llmService,
+            context: session.context
+        });
+        if (!phrase) return null;
+
+        console.log(`💭 Pre-action phrase: "${phrase}"`);
+        this.showText(session, phrase, 'model');
+        const audio = await this.synthesizeTTS(session, phrase);
+        if (audio) {
+            this.playAudio(session, audio);
+        }
+        return phrase;
+    }
+
+    /**
+     * Stream a reply from Gemini. With onSentence, reply text is handed over one
+     * sentence at a time as it streams in. When the model calls functions they are
+     * run once the reply is complete, and the model is asked again with the results.
+     * @returns {Promise<string>} - The reply to add to the context
+     */
+    async callLLM(session, { onSentence = null, timing = null, round = 0 } = {}) {
+        let text = '';
+        const generation = session.playbackGeneration;
+
+        try {
+            console.log("🧠 Calling Gemini LLM...");
+            const systemInstruction = session.agentPrompt +
+                (this.knowledgeBase ? this.knowledgeBase.formatPassages(session.knowledgePassages) : '');
+            const { stream, response: completion } = await this.llmService.generateContentStream({
+                model: session.model,
+                contents: session.context,
+                config: { systemInstruction, tools: this.agentTools.getGeminiTools(session.toolset) },
+            });
+            const finished = completion.catch(() => null);
+            const chunker = createSentenceChunker();
+
+            const emit = (sentence) => {
+                if (timing && !timing.firstSentenceAt) timing.firstSentenceAt = Date.now();
+                onSentence(sentence);
+            };
+
+            for await (const chunk of stream) {
+                // The user interrupted; the rest of this reply will never be spoken
+                if (generation !== session.playbackGeneration) break;
+                if (timing && !timing.llmFirstTokenAt) timing.llmFirstTokenAt = Date.now();
+                text += chunk;
+                if (onSentence) chunker.push(chunk).forEach(emit);
+            }
+            if (onSentence && generation === session.playbackGeneration) {
+                const rest = chunker.flush();
+                if (rest) emit(rest);
+            }
+
+            console.log("🧠 Gemini response received:", text);
+            const response = await finished;
+
+            // Track Gemini token usage
+            if (response?.usageMetadata) {
+                const totalTokens = (response.usageMetadata.promptTokenCount || 0) +
+                    (response.usageMetadata.candidatesTokenCount || 0);
+                session.usage.gemini += totalTokens;
+                console.log(`📊 Gemini tokens used: ${totalTokens} (Total: ${session.usage.gemini})`);
+            }
+
+            const functionCalls = response?.functionCalls || [];
+            if (functionCalls.length === 0 || generation !== session.playbackGeneration) return text;
+
+            if (round >= MAX_TOOL_ROUNDS) {
+                console.warn(`⚠️ Tool call limit reached for call ${session.callId}`);
+                return text || "I'm sorry, I wasn't able to finish that.";
+            }
+
+            console.log(`🛠️ Function calls: ${functionCalls.map(call => call.name).join(', ')}`);
+            // Whatever the model said with the calls has been spoken; its answer comes after the results
+            this.showText(session, text.trim(), 'model');
+
+            const { reply } = await this.agentTools.runFunctionCalls(session, functionCalls, {
+                text,
+                beforeTool: (tool) => this.speakPreActionPhrase(session, tool),
+                onResult: (name, data, result, details) => {
+                    this.recordToolResult(session, name, data, result);
+                    this.callLogs.log(session, 'tool', `${name}: ${result?.status || 'done'}`, { tool: name, arguments: data, result, ...details });
+                }
+            });
+            if (reply !== null) return reply;
+
+            // Let the model answer from the results
+            return await this.callLLM(session, { onSentence, timing, round: round + 1 });
+        } catch (err) {
+            console.error("❌ LLM error:", err);
+            // Keep what the user already heard rather than apologizing mid-sentence
+            if (onSentence && text.trim()) return text;
+            return "I apologize, I'm having trouble processing that right now.";
+        }
+    }
+
+    /**
+     * Call controls offered to the model as functions, depending on the agent's
+     * settings and what the channel supports
+     */
+    getBuiltinFunctions(session) {
+        const builtins = {};
+
+        if (session.canTerminateCall) {
+            builtins.endCall = {
+                description: 'End the call.',
+                parameters: [{ name: 'closingLine', type: 'string', required: true, description: 'A short, polite goodbye' }],
+                run: async ({ closingLine }) => {
+                    session.pendingHangup = true;
+                    session.endReason = 'agent';
+                    return { result: { status: 'success' }, reply: closingLine || "Thank you for your time. Goodbye!" };
+                }
+            };
+        }
+
+        if (session.detectDoNotCall) {
+            builtins.addToDoNotCall = {
+                description: 'Add the person to the Do-Not-Call list and end the call.',
+                parameters: [{ name: 'closingLine', type: 'string', required: true, description: 'A short confirmation that they will not be called again, and goodbye' }],
+                run: async ({ closingLine }) => {
+                    const phone = await this.addCalleeToDnc(session);
+                    session.pendingHangup = true;
+                    session.endReason = 'do_not_call';
+                    return {
+                        result: { status: phone ? 'success' : 'error', phone },
+                        reply: closingLine || "Understood, we won't call you again. Goodbye!"
+                    };
+                }
+            };
+        }
+
+        if (session.canSendDtmf) {
+            builtins.sendDtmf = {
+                description: 'Press keys on the phone keypad.',
+                parameters: [{ name: 'digits', type: 'string', required: true, description: 'Keys to press: 0-9, * and #, and "w" for a half second pause' }],
+                run: async ({ digits }) => {
+                    if (!isValidDtmf(digits)) {
+                        return { result: { status: 'error', message: 'Digits may only contain 0-9, *, # and w' } };
+                    }
+                    session.pendingDtmf = digits;
+                    return { result: { status: 'success' }, reply: '' };
+                }
+            };
+        }
+
+        if (session.transferTarget) {
+            builtins.transferCall = {
+                description: 'Transfer the call to a human agent.',
+                parameters: [
+                    { name: 'reason', type: 'string', required: true, description: 'Why the caller is being transferred' },
+                    { name: 'summary', type: 'string', required: true, description: 'One or two sentence summary of the conversation for the human agent' }
+                ],
+                run: async ({ reason, summary }) => {
+                    console.log(`🛠️ Transfer requested: ${reason || 'no reason given'}`);
+                    session.pendingTransfer = { reason: reason || '', summary: summary || '' };
+                    return { result: { status: 'success', target: session.transferTarget }, reply: session.transferMessage };
+                }
+            };
+        }
+
+        return builtins;
+    }
+
+    /**
+     * Synthesize text in the session's voice and the channel's audio format,
+     * tracking characters for billing
+     * @param {Object} [options] - { signal } to cancel the request
+     */
+    async synthesizeTTS(session, text, options = {}) {
+        const voiceId = session.agentVoiceId;
+        try {
+            console.log(`🔊 Synthesizing TTS with voice: ${voiceId}`);
+            const audioBuffer = await generateTTS(text, { ...session.channel.ttsOptions, voiceId, signal: options.signal });
+
+            // Track TTS usage for billing
+            const provider = getTTSProvider(voiceId) === 'sarvam' ? 'sarvam' : 'elevenlabs';
+            session.usage[provider] += text.length;
+            console.log(`📊 ${provider === 'sarvam' ? 'Sarvam' : 'ElevenLabs'} TTS: ${text.length} characters (Total: ${session.usage[provider]})`);
+
+            if (!audioBuffer) {
+                console.error("❌ TTS generation returned null");
+                return null;
+            }
+
+            console.log(`✅ TTS generated: ${audioBuffer.length} bytes using voice ${voiceId}`);
+            return audioBuffer;
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                console.log("⏹️  TTS request cancelled");
+                return null;
+            }
+            console.error("❌ TTS error:", err);
+            return null;
+        }
+    }
+
+    /**
+     * Nudge a silent user, ending the call once inactivityMaxPrompts nudges have gone unanswered
+     */
+    async sendInactivityPrompt(session) {
+        const maxPrompts = Number(session.settings.inactivityMaxPrompts ?? 2);
+        if (session.inactivityPromptCount >= maxPrompts) {
+            await this.endSessionForTimeout(session, 'inactivity');
+            return;
+        }
+
+        session.inactivityPromptCount++;
+        // Restart the silence clock now so the check doesn't fire again while TTS is generated
+        session.lastAgentSpeechTime = Date.now();
+
+        const prompt = session.settings.inactivityPrompt || "Are you still there?";
+        console.log(`🔔 Inactivity prompt ${session.inactivityPromptCount}/${maxPrompts} for call ${session.callId}`);
+        this.appendToContext(session, prompt, "model");
+        this.showText(session, prompt, 'model');
+
+        const audio = await this.synthesizeTTS(session, prompt);
+        if (audio) {
+            this.playAudio(session, audio);
+        }
+    }
+
+    async endSessionForTimeout(session, reason) {
+        if (session.pendingHangup) return;
+        session.pendingHangup = true;
+        session.endReason = reason;
+        clearSessionTimers(session);
+
+        const endMessage = session.settings.sessionTimeoutEndMessage || "Your session has ended.";
+        console.log(`⏱️ Session timeout (${reason}) for call ${session.callId}`);
+
+        await this.callLogs.log(session, 'timeout', `Session ended: ${reason}`, { reason });
+        this.appendToContext(session, endMessage, "model");
+        this.showText(session, endMessage, 'model');
+        await this.speakAndHangup(session, endMessage);
+    }
+
+    /**
+     * Store a conversation turn in call_segments
+     */
+    async saveCallSegment(session, userTranscript, agentResponse, userDtmf = null, agentDtmf = null) {
+        const callRecordId = await this.callLogs.resolveCallRecordId(session);
+        if (!callRecordId) return;
+
+        try {
+            await this.mysqlPool.execute(
+                `INSERT INTO call_segments (id, call_id, user_transcript, agent_response, user_dtmf, agent_dtmf, timestamp)
+                 VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+                [uuidv4(), callRecordId, userTranscript, agentResponse, userDtmf, agentDtmf]
+            );
+        } catch (err) {
+            console.error('❌ Error saving call segment:', err.message);
+        }
+    }
+
+    /**
+     * Template variables for a call: contact.* (name, phone_number, timezone, the
+     * import file's custom columns and the prefetch webhook response), campaign.*
+     * and agent.*. Contact fields are also available un-prefixed ({{account_id}}).
+     * summaryFields lists the contact's fields for the caller information section,
+     * unless the campaign turned off include_metadata.
+     */
+    async loadPromptContext({ contactId, campaignId }, agent) {
+        const variables = { agent: { ...agent }, campaign: {}, contact: {} };
+        let summaryFields = null;
+        let includeMetadata = true;
+        if (!this.mysqlPool) return { variables, summaryFields };
+
+        try {
+            if (campaignId) {
+                const [campaigns] = await this.mysqlPool.execute(
+                    'SELECT id, name, include_metadata FROM campaigns WHERE id = ?',
+                    [campaignId]
+                );
+                if (campaigns.length > 0) {
+                    variables.campaign = { id: campaigns[0].id, name: campaigns[0].name };
+                    includeMetadata = campaigns[0].include_metadata !== 0;
+                }
+            }
+
+            if (contactId) {
+                const [rows] = await this.mysqlPool.execute(
+                    'SELECT name, phone_number, timezone, metadata FROM campaign_contacts WHERE id = ?',
+                    [contactId]
+                );
+                if (rows.length > 0) {
+                    const contact = rows[0];
+                    const metadata = (typeof contact.metadata === 'string'
+                        ? JSON.parse(contact.metadata)
+                        : contact.metadata) || {};
+
+                    // The prefetch webhook response wins when a key appears in both
+                    const fields = { ...(metadata.fields || {}), ...(metadata.prefetched || {}) };
+                    for (const [key, value] of Object.entries(fields)) {
+                        if (!['agent', 'campaign', 'contact'].includes(key)) variables[key] = value;
+                    }
+                    variables.contact = {
+                        ...fields,
+                        name: contact.name,
+                        phone_number: contact.phone_number,
+                        timezone: contact.timezone
+                    };
+
+                    if (includeMetadata) {
+                        summaryFields = { ...(contact.name ? { name: contact.name } : {}), ...fields };
+                    }
+                }
+            }
+        } catch (err) {
+            console.error('⚠️ Error loading prompt variables:', err.message);
+        }
+
+        return { variables, summaryFields };
+    }
+
+    /**
+     * List the contact's fields in a caller information section so the LLM can
+     * use fields the prompt does not reference explicitly
+     */
+    formatCallerInformation(fields) {
+        if (!fields) return '';
+
+        const lines = Object.entries(fields)
+            .filter(([, value]) => value !== null && value !== '' && typeof value !== 'object')
+            .map(([key, value]) => `- ${key}: ${escapeValue(value)}`);
+
+        return lines.length > 0 ? `\n\nCaller Information:\n${lines.join('\n')}` : '';
+    }
+
+    /**
+     * Keep a record of a tool call for the end-of-call webhook
+     */
+    recordToolResult(session, tool, data, result) {
+        session.toolResults.push({
+            tool,
+            data,
+            result,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * The conversation so far as agent/user turns
+     */
+    getTranscript(session) {
+        return session.context
+            .filter(message => message.role !== 'function')
+            .map(message => ({
+                role: message.role === 'model' ? 'agent' : 'user',
+                text: message.parts.map(part => part.text || '').join('')
+            }))
+            .filter(turn => turn.text);
+    }
+
+    /**
+     * POST the call summary, transcript, outcome and cost to the agent's end-of-call webhook
+     */
+    async sendEndOfCallWebhook(session, costResult, callOutcome = null) {
+        if (!this.webhookService) return;
+
+        const callRecordId = await this.callLogs.resolveCallRecordId(session);
+
+        let contact = null;
+        if (session.contactId && this.mysqlPool) {
+            const [rows] = await this.mysqlPool.execute(
+                'SELECT id, phone_number, name, metadata FROM campaign_contacts WHERE id = ?',
+                [session.contactId]
+            );
+            if (rows.length > 0) {
+                contact = {
+                    id: rows[0].id,
+                    phoneNumber: rows[0].phone_number,
+                    name: rows[0].name,
+                    metadata: typeof rows[0].metadata === 'string' ? JSON.parse(rows[0].metadata) : rows[0].metadata
+                };
+            }
+        }
+
+        const payload = {
+            event: 'call.ended',
+            callId: callRecordId || session.callId,
+            callSid: session.callSid,
+            agentId: session.agentId,
+            campaignId: session.campaignId,
+            contact,
+            startedAt: session.startTime.toISOString(),
+            endedAt: session.endTime.toISOString(),
+            durationSeconds: Math.round((session.endTime - session.startTime) / 1000),
+            endReason: session.endReason,
+            transcript: this.getTranscript(session),
+            disposition: callOutcome?.disposition || null,
+            outcome: callOutcome?.outcome || null,
+            toolResults: session.toolResults,
+            cost: costResult
+                ? { total: costResult.totalCharged, breakdown: costResult.breakdown }
+                : null
+        };
+
+        await this.webhookService.deliver({
+            url: session.settings.endOfCallWebhook,
+            eventType: 'call.ended',
+            payload,
+            secret: session.settings.webhookSecret,
+            userId: session.userId,
+            agentId: session.agentId,
+            callId: callRecordId || session.callId
+        });
+    }
+
+    /**
+     * Put the other party's number on the user's Do-Not-Call list.
+     * Returns the number that was added, or null if it could not be determined.
+     */
+    async addCalleeToDnc(session) {
+        if (!this.dncService || !session.userId) return null;
+
+        try {
+            let phone = null;
+            let defaultCountry = null;
+
+            if (session.contactId) {
+                const [contacts] = await this.mysqlPool.execute(
+                    `SELECT cc.phone_number, cs.default_country
+                     FROM campaign_contacts cc
+                     LEFT JOIN campaign_settings cs ON cs.campaign_id = cc.campaign_id
+                     WHERE cc.id = ?`,
+                    [session.contactId]
+                );
+                phone = contacts[0]?.phone_number || null;
+                defaultCountry = contacts[0]?.default_country || null;
+            }
+
+            if (!phone) {
+                const [calls] = await this.mysqlPool.execute(
+                    'SELECT from_number, to_number, call_type FROM calls WHERE id = ? OR call_sid = ? LIMIT 1',
+                    [session.callId, session.callSid || session.callId]
+                );
+                if (calls.length > 0) {
+                    phone = calls[0].call_type === 'twilio_inbound' ? calls[0].from_number : calls[0].to_number;
+                }
+            }
+
+            if (!phone) {
+                console.warn(`⚠️ Could not determine callee number for DNC request on call ${session.callId}`);
+                return null;
+            }
+
+            await this.dncService.addNumber(session.userId, phone, 'call', 'Requested during call', defaultCountry);
+            console.log(`🚫 Added ${phone} to Do-Not-Call list`);
+            await this.callLogs.log(session, 'dnc', `${phone} added to Do-Not-Call list`, { phone });
+            return phone;
+        } catch (err) {
+            console.error('❌ Error adding number to DNC list:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Search the agent's documents for the user's utterance and log the citations
+     */
+    retrieveKnowledge(session, query) {
+        if (!session.knowledgeIndex) return [];
+
+        const passages = this.knowledgeBase.search(session.knowledgeIndex, query);
+        if (passages.length > 0) {
+            console.log(`📚 Retrieved ${passages.length} passages: ${passages.map(p => `${p.documentName}#${p.chunkIndex}`).join(', ')}`);
+            this.callLogs.log(session, 'knowledge', `Retrieved ${passages.length} knowledge base passages`, {
+                query,
+                citations: passages.map(({ documentId, documentName, chunkIndex, section, page, score }) => ({ documentId, documentName, chunkIndex, section, page, score }))
+            });
+        }
+        return passages;
+    }
+}
+
+module.exports = ConversationEngine;
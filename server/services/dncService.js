@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require('uuid');
+const { COUNTRIES, normalizeToE164 } = require('../utils/contactImporter.js');
+
+class DncService {
+    constructor(mysqlPool) {
+        this.mysqlPool = mysqlPool;
+    }
+
+    /**
+     * Normalize a phone number to E.164, the format campaign contacts are stored in.
+     * Numbers without a country code get defaultCountry's code.
+     * @returns {string|null} - null if the number can't be normalized
+     */
+    normalizePhone(phone, defaultCountry = null) {
+        if (!phone) return null;
+        return normalizeToE164(phone, defaultCountry).phone || null;
+    }
+
+    /**
+     * Check whether a number is on the user's Do-Not-Call list
+     * @param {string} [defaultCountry] - ISO code for numbers without a country code. Entries
+     *   saved before numbers were normalized may be in that country's national format.
+     */
+    async isBlocked(userId, phone, defaultCountry = null) {
+        const normalized = this.normalizePhone(phone, defaultCountry);
+        if (!normalized) return false;
+
+        const digits = normalized.slice(1);
+        const candidates = [normalized, digits];
+        const country = defaultCountry ? COUNTRIES[String(defaultCountry).toUpperCase()] : null;
+        if (country && digits.startsWith(country.code)) {
+            const national = digits.slice(country.code.length);
+            candidates.push(national);
+            if (country.trunk) candidates.push(country.trunk + national);
+        }
+
+        const [rows] = await this.mysqlPool.execute(
+            `SELECT id FROM dncs WHERE user_id = ? AND phone IN (${candidates.map(() => '?').join(', ')}) LIMIT 1`,
+            [userId, ...candidates]
+        );
+        return rows.length > 0;
+    }
+
+    /**
+     * Add a number to the user's list in E.164 format. Returns false if it was already there.
+     * @param {string} source - manual, import or call
+     * @param {string} [defaultCountry] - ISO code for numbers without a country code
+     */
+    async addNumber(userId, phone, source = 'manual', reason = null, defaultCountry = null) {
+        const normalized = normalizeToE164(phone, defaultCountry);
+        if (normalized.error) {
+            throw new Error(`Invalid phone number ${phone}: ${normalized.error}`);
+        }
+
+        if (await this.isBlocked(userId, normalized.phone, defaultCountry)) {
+            return false;
+        }
+
+        await this.mysqlPool.execute(
+            'INSERT INTO dncs (id, phone, user_id, source, reason) VALUES (?, ?, ?, ?, ?)',
+            [uuidv4(), normalized.phone, userId, source, reason]
+        );
+        return true;
+    }
+
+    /**
+     * Bulk import numbers
+     * @param {string} [defaultCountry] - ISO code for numbers without a country code
+     * @returns {Object} - Counts of added, duplicate and invalid numbers
+     */
+    async importNumbers(userId, phones, defaultCountry = null) {
+        const result = { added: 0, duplicates: 0, invalid: [] };
+
+        for (const phone of phones) {
+            if (!this.normalizePhone(phone, defaultCountry)) {
+                result.invalid.push(phone);
+                continue;
+            }
+
+            const added = await this.addNumber(userId, phone, 'import', null, defaultCountry);
+            if (added) {
+                result.added++;
+            } else {
+                result.duplicates++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the user's Do-Not-Call list
+     */
+    async getNumbers(userId, search = null) {
+        let query = 'SELECT id, phone, source, reason, created_at FROM dncs WHERE user_id = ?';
+        const params = [userId];
+
+        if (search) {
+            query += ' AND phone LIKE ?';
+            params.push(`%${search.replace(/\D/g, '')}%`);
+        }
+
+        query += ' ORDER BY created_at DESC';
+
+        const [rows] = await this.mysqlPool.execute(query, params);
+        return rows;
+    }
+
+    /**
+     * Remove a number from the user's list
+     */
+    async removeNumber(userId, id) {
+        const [result] = await this.mysqlPool.execute(
+            'DELETE FROM dncs WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = DncService;
@@ -0,0 +1,219 @@
+// Knowledge base retrieval over an agent's uploaded documents.
+// Documents are split into overlapping chunks and ranked with BM25, all in memory;
+// the index for an agent is rebuilt whenever its documents change.
+// Chunks never span a "#" heading, and remember the section and "[Page N]" they came from.
+
+const CHUNK_WORDS = 120;
+const CHUNK_OVERLAP_WORDS = 30;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no',
+    'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'then', 'there',
+    'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+    'why', 'will', 'with', 'would', 'you', 'your', 'yes', 'okay', 'ok', 'um', 'uh', 'please'
+]);
+
+class KnowledgeBaseService {
+    constructor(mysqlPool) {
+        this.mysqlPool = mysqlPool;
+        this.indexes = new Map(); // agentId -> { signature, chunks, docFreq, avgLength }
+    }
+
+    tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    /**
+     * Split a document into overlapping word windows. A heading starts a new chunk,
+     * and each chunk records its section heading and page for citations.
+     * @returns {Array<{ text: string, section: string|null, page: number|null }>}
+     */
+    chunkText(text) {
+        const blocks = text.split(/\n\s*\n/).map(b => b.trim()).filter(Boolean);
+        const chunks = [];
+        let current = [];
+        let section = null;
+        let page = null;
+        let chunkPage = null;
+        let freshWords = 0; // Words added since the last flush, excluding carried-over overlap
+
+        const flush = (keepOverlap) => {
+            if (freshWords > 0) {
+                chunks.push({ text: current.join(' '), section, page: chunkPage });
+            }
+            current = keepOverlap ? current.slice(-CHUNK_OVERLAP_WORDS) : [];
+            freshWords = 0;
+            chunkPage = page;
+        };
+
+        for (const block of blocks) {
+            const pageMatch = block.match(/^\[Page (\d+)\]$/);
+            if (pageMatch) {
+                page = Number(pageMatch[1]);
+                if (freshWords === 0) chunkPage = page;
+                continue;
+            }
+
+            const headingMatch = block.match(/^#{1,6}\s+(.+)$/);
+            if (headingMatch) {
+                flush(false);
+                section = headingMatch[1].trim();
+            }
+
+            // Start a fresh chunk rather than split a paragraph that would fit in one
+            const words = block.split(/\s+/);
+            if (!headingMatch && words.length <= CHUNK_WORDS && current.length + words.length > CHUNK_WORDS) flush(true);
+
+            for (const word of words) {
+                current.push(word);
+                freshWords++;
+                if (current.length >= CHUNK_WORDS) flush(true);
+            }
+        }
+        flush(false);
+
+        return chunks;
+    }
+
+    /**
+     * Load (or reuse) the search index for an agent. Covers documents uploaded
+     * for the agent and those linked through settings.knowledgeDocIds.
+     * @returns {Object|null} - null when the agent has no documents
+     */
+    async getAgentIndex(agentId, knowledgeDocIds = []) {
+        if (!this.mysqlPool || !agentId) return null;
+
+        const docIds = (knowledgeDocIds || []).filter(Boolean);
+        const placeholders = docIds.map(() => '?').join(', ');
+        const where = docIds.length > 0 ? `agent_id = ? OR id IN (${placeholders})` : 'agent_id = ?';
+
+        try {
+            const [meta] = await this.mysqlPool.execute(
+                `SELECT id, uploaded_at FROM documents WHERE ${where} ORDER BY id`,
+                [agentId, ...docIds]
+            );
+            if (meta.length === 0) return null;
+
+            const signature = meta.map(d => `${d.id}:${new Date(d.uploaded_at).getTime()}`).join('|');
+            const cached = this.indexes.get(agentId);
+            if (cached && cached.signature === signature) return cached;
+
+            const [documents] = await this.mysqlPool.execute(
+                `SELECT id, name, content FROM documents WHERE ${where}`,
+                [agentId, ...docIds]
+            );
+
+            const index = this.buildIndex(documents);
+            index.signature = signature;
+            this.indexes.set(agentId, index);
+
+            console.log(`📚 Indexed ${documents.length} documents (${index.chunks.length} chunks) for agent ${agentId}`);
+            return index;
+        } catch (error) {
+            console.error('Error building knowledge base index:', error.message);
+            return null;
+        }
+    }
+
+    buildIndex(documents) {
+        const chunks = [];
+        const docFreq = new Map();
+        let totalLength = 0;
+
+        for (const doc of documents) {
+            if (!doc.content) continue;
+
+            this.chunkText(doc.content).forEach(({ text, section, page }, chunkIndex) => {
+                const tokens = this.tokenize(text);
+                const termFreq = new Map();
+                for (const token of tokens) {
+                    termFreq.set(token, (termFreq.get(token) || 0) + 1);
+                }
+                for (const token of termFreq.keys()) {
+                    docFreq.set(token, (docFreq.get(token) || 0) + 1);
+                }
+
+                totalLength += tokens.length;
+                chunks.push({
+                    documentId: doc.id,
+                    documentName: doc.name,
+                    chunkIndex,
+                    section,
+                    page,
+                    text,
+                    length: tokens.length,
+                    termFreq
+                });
+            });
+        }
+
+        return {
+            chunks,
+            docFreq,
+            avgLength: chunks.length > 0 ? totalLength / chunks.length : 0
+        };
+    }
+
+    /**
+     * Rank chunks against a query with BM25
+     * @returns {Array} - Top passages with document references and scores
+     */
+    search(index, query, topK = 3) {
+        if (!index || index.chunks.length === 0) return [];
+
+        const terms = [...new Set(this.tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const totalChunks = index.chunks.length;
+        const results = [];
+
+        for (const chunk of index.chunks) {
+            let score = 0;
+            for (const term of terms) {
+                const tf = chunk.termFreq.get(term);
+                if (!tf) continue;
+
+                const df = index.docFreq.get(term) || 0;
+                const idf = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+                const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length / (index.avgLength || 1)));
+                score += idf * (tf * (BM25_K1 + 1)) / norm;
+            }
+
+            if (score > 0) {
+                results.push({
+                    documentId: chunk.documentId,
+                    documentName: chunk.documentName,
+                    chunkIndex: chunk.chunkIndex,
+                    section: chunk.section,
+                    page: chunk.page,
+                    text: chunk.text,
+                    score: Math.round(score * 1000) / 1000
+                });
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+
+    /**
+     * Render passages as a system prompt section
+     */
+    formatPassages(passages) {
+        if (!passages || passages.length === 0) return '';
+
+        const body = passages
+            .map((p, i) => {
+                const source = [p.documentName, p.section, p.page ? `page ${p.page}` : null].filter(Boolean).join(', ');
+                return `[${i + 1}] (${source})\n${p.text}`;
+            })
+            .join('\n\n');
+
+        return `\n\nKnowledge Base:\nThe following passages from the company's documents may be relevant to the caller's last question. Answer from them when they apply. If they don't cover the question, say you don't have that information rather than guessing.\n\n${body}`;
+    }
+}
+
+module.exports = KnowledgeBaseService;
@@ -1,107 +1,58 @@
 const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
 const { LLMService } = require("../llmService.js");
-const nodeFetch = require("node-fetch");
-const WalletService = require('./walletService.js');
-const CostCalculator = require('./costCalculator.js');
+const twilio = require("twilio");
+const { generateDtmfAudio } = require("../utils/dtmf.js");
+const { sendMediaFrames, clearMedia, sendSilence } = require("../utils/twilioMedia.js");
+const ConversationEngine = require('./conversationEngine.js');
 
 const sessions = new Map();
 
+// How long to wait for more keypad presses before handing the digits to the LLM
+const DTMF_INPUT_TIMEOUT_MS = 1500;
+
+/**
+ * Twilio media stream channel for the conversation engine.
+ * Caller audio goes to Deepgram; agent audio goes back as 20ms µ-law frames.
+ */
 class MediaStreamHandler {
     constructor(deepgramApiKey, geminiApiKey, campaignService, mysqlPool = null) {
         if (!deepgramApiKey) throw new Error("Missing Deepgram API Key");
         if (!geminiApiKey) throw new Error("Missing Gemini API Key");
 
         this.deepgramClient = createClient(deepgramApiKey);
-        this.llmService = new LLMService(geminiApiKey);
+        this.engine = new ConversationEngine(new LLMService(geminiApiKey), mysqlPool);
         this.campaignService = campaignService;
         this.mysqlPool = mysqlPool;
 
-        // Initialize wallet and cost tracking services
-        if (mysqlPool) {
-            this.walletService = new WalletService(mysqlPool);
-            this.costCalculator = new CostCalculator(mysqlPool, this.walletService);
-        }
+        // Channel properties read by the engine
+        this.capabilities = { transfer: true, dtmf: true, doNotCall: true };
+        this.ttsOptions = {}; // TTS defaults to µ-law 8kHz, which Twilio plays as is
+        this.audioBytesPerSecond = 8000;
     }
 
-    // ✅ FIX: Method to get fresh API key each time
-    getElevenLabsApiKey() {
-        return process.env.ELEVEN_LABS_API_KEY || process.env.ELEVENLABS_API_KEY;
-    }
-
-    createSession(callId, agentPrompt, agentVoiceId, ws, userId = null, agentId = null) {
-        const session = {
-            callId,
-            context: [],
-            sttStream: null,
-            agentPrompt,
-            agentVoiceId: agentVoiceId || "21m00Tcm4TlvDq8ikWAM",
-            ws,
-            streamSid: null,
-            isReady: false,
-            audioQueue: [],
-            isSpeaking: false, // Track if agent is currently speaking
-            lastUserSpeechTime: null, // Track when user last spoke
-            userId: userId,
-            agentId: agentId,
-            startTime: new Date(),
-            // Usage tracking for billing
-            usage: {
-                twilio: 0,        // minutes
-                deepgram: 0,      // seconds
-                gemini: 0,        // tokens
-                elevenlabs: 0,    // characters
-                sarvam: 0         // characters
-            }
-        };
-        sessions.set(callId, session);
-        console.log(`✅ Created session for call ${callId}`);
-        console.log(`   Agent Prompt: ${agentPrompt.substring(0, 100)}...`);
-        console.log(`   Voice ID: ${session.agentVoiceId}`);
-        return session;
+    getTwilioClient() {
+        if (!this.twilioClient) {
+            this.twilioClient = this.campaignService?.twilioClient ||
+                twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        }
+        return this.twilioClient;
     }
 
     endSession(callId) {
         const session = sessions.get(callId);
         if (session) {
-            // Calculate and charge for Twilio usage
-            if (session.startTime && session.userId && this.costCalculator) {
-                const endTime = new Date();
-                const durationSeconds = (endTime - session.startTime) / 1000;
-                const durationMinutes = durationSeconds / 60;
-                session.usage.twilio = durationMinutes;
-
-                // Charge user for all usage
-                this.costCalculator.recordAndCharge(
-                    session.userId,
-                    session.callId,
-                    session.usage
-                ).then(result => {
-                    console.log(`✅ Charged user ${session.userId}: $${result.totalCharged.toFixed(4)}`);
-                    console.log('   Breakdown:', result.breakdown);
-                }).catch(err => {
-                    console.error('❌ Error charging user:', err.message);
-                    if (err.message === 'Insufficient balance') {
-                        console.warn(`⚠️ User ${session.userId} ended call with insufficient balance`);
-                    }
-                });
-            }
+            if (session.dtmfTimer) clearTimeout(session.dtmfTimer);
+            session.usage.twilio = (Date.now() - session.startTime) / 60000; // minutes
+            this.engine.endSession(session);
 
             if (session.sttStream) {
                 session.sttStream.finish();
                 session.sttStream.removeAllListeners();
             }
             sessions.delete(callId);
-            console.log(`❌ Ended session for call ${callId}`);
         }
     }
 
-    appendToContext(session, text, role) {
-        session.context.push({ role, parts: [{ text }] });
-        console.log(`💬 ${role.toUpperCase()}: ${text}`);
-    }
-
-    // REPLACE the handleConnection method in mediaStreamHandler.js:
-
     async handleConnection(ws, req) {
         let callId = null;
         let agentId = null;
@@ -164,93 +115,36 @@ class MediaStreamHandler {
                             return;
                         }
 
-                        // Load agent configuration
-                        let agentPrompt = "You are a helpful AI assistant.";
-                        let agentVoiceId = "21m00Tcm4TlvDq8ikWAM"; // Default voice
-                        let greetingMessage = "Hello! How can I help you today?";
-                        let tools = [];
-
-                        if (agentId) {
-                            try {
-                                const AgentService = require('./agentService.js');
-                                const agentService = new AgentService(require('../config/database.js').default);
-
-                                console.log(`🔍 Fetching agent from database: userId=${userId}, agentId=${agentId}`);
-                                const agent = await agentService.getAgentById(userId, agentId);
-                                console.log(`📋 Agent query result:`, agent ? `Found: ${agent.name}` : 'NOT FOUND');
-
-                                if (agent) {
-                                    console.log(`📊 Agent details:`, {
-                                        name: agent.name,
-                                        voiceId: agent.voiceId,
-                                        hasIdentity: !!agent.identity,
-                                        hasGreeting: !!agent.settings?.greetingLine
-                                    });
-
-                                    agentPrompt = agent.identity || agentPrompt;
-
-                                    // Process Tools
-                                    if (agent.settings && agent.settings.tools && agent.settings.tools.length > 0) {
-                                        tools = agent.settings.tools;
-                                        const toolDescriptions = tools.map(tool =>
-                                            `- ${tool.name}: ${tool.description} (Parameters: ${tool.parameters?.map(p => `${p.name} (${p.type})${p.required ? ' [required]' : ''}`).join(', ') || 'None'})`
-                                        ).join('\n');
-
-                                        agentPrompt += `\n\nAvailable Tools:\n${toolDescriptions}\n\nWhen you need to collect information from the user, ask for the required parameters. When all required information is collected, respond with a JSON object in the format: {"tool": "tool_name", "data": {"param1": "value1", "param2": "value2"}}. Do NOT add any other text before or after the JSON.`;
-                                    }
-
-                                    // ✅ CRITICAL: Use the voice ID directly from database
-                                    if (agent.voiceId) {
-                                        agentVoiceId = agent.voiceId;
-                                        console.log(`🎤 Using agent voice ID from database: ${agentVoiceId}`);
-                                    } else {
-                                        console.warn(`⚠️  Agent has no voiceId, using default: ${agentVoiceId}`);
-                                    }
-
-                                    if (agent.settings?.greetingLine) {
-                                        greetingMessage = agent.settings.greetingLine;
-                                        console.log(`👋 Using custom greeting: "${greetingMessage}"`);
-                                    } else {
-                                        console.log(`👋 Using default greeting: "${greetingMessage}"`);
-                                    }
-                                    console.log(`✅ Loaded agent: ${agent.name} with ${tools.length} tools`);
-                                    console.log(`   Voice ID: ${agentVoiceId}`);
-                                    console.log(`   Prompt: ${agentPrompt.substring(0, 100)}...`);
-                                } else {
-                                    console.error(`❌ Agent ${agentId} not found in database for userId ${userId}`);
-                                    console.warn(`⚠️  Using defaults: voice=${agentVoiceId}, greeting="${greetingMessage}"`);
-                                }
-                            } catch (err) {
-                                console.error("⚠️  Error loading agent:", err.message);
-                            }
-                        } else {
-                            console.log(`ℹ️  No agentId provided, using default voice: ${agentVoiceId}`);
-                        }
-
                         // Check user balance before starting call
-                        if (userId && this.walletService) {
-                            const balanceCheck = await this.walletService.checkBalanceForCall(userId, 0.10);
-                            if (!balanceCheck.allowed) {
-                                console.error(`❌ Insufficient balance for user ${userId}: ${balanceCheck.message}`);
-                                // Send error to Twilio and close connection
-                                ws.send(JSON.stringify({
-                                    event: 'error',
-                                    message: balanceCheck.message
-                                }));
-                                ws.close();
-                                return;
-                            }
-                            console.log(`✅ Balance check passed: $${balanceCheck.balance.toFixed(4)}`);
+                        const balanceCheck = await this.engine.checkBalance(userId);
+                        if (!balanceCheck.allowed) {
+                            // Send error to Twilio and close connection
+                            ws.send(JSON.stringify({
+                                event: 'error',
+                                message: balanceCheck.message
+                            }));
+                            ws.close();
+                            return;
                         }
 
-                        // Create session with the correct voice ID
-                        session = this.createSession(callId, agentPrompt, agentVoiceId, ws, userId, agentId);
-                        session.tools = tools; // Store tools in session
-                        console.log(`✅ Session created with voice ID: ${session.agentVoiceId}`);
-
-                        session.greetingMessage = greetingMessage;
-                        session.streamSid = data.start.streamSid;
-                        session.isReady = true;
+                        session = await this.engine.createSession(this, {
+                            callId,
+                            userId,
+                            agentId,
+                            callSid: data.start.callSid || null,
+                            campaignId: streamParams.campaignId || null,
+                            contactId: streamParams.contactId || null
+                        });
+                        Object.assign(session, {
+                            ws,
+                            streamSid: data.start.streamSid,
+                            isReady: true,
+                            audioQueue: [],
+                            sttStream: null,
+                            dtmfBuffer: '', // Caller keypad digits not yet sent to the LLM
+                            dtmfTimer: null
+                        });
+                        sessions.set(callId, session);
 
                         // Initialize Deepgram with SDK v4 API
                         console.log("🔄 Initializing Deepgram connection...");
@@ -274,46 +168,7 @@ class MediaStreamHandler {
 
                         deepgramLive.on(LiveTranscriptionEvents.Transcript, async (data) => {
                             try {
-                                const transcript = data.channel?.alternatives?.[0]?.transcript;
-                                const isFinal = data.is_final;
-
-                                // Only process final transcripts
-                                if (!isFinal || !transcript?.trim()) return;
-
-                                console.log(`🎤 User said: "${transcript}"`);
-
-                                // ✅ INTERRUPTION HANDLING: User spoke
-                                session.lastUserSpeechTime = Date.now();
-
-                                // Track Deepgram usage (estimate based on word count)
-                                const wordCount = transcript.split(' ').length;
-                                const estimatedDuration = wordCount / 2.5; // avg 2.5 words/second
-                                session.usage.deepgram += estimatedDuration;
-
-                                // If agent is speaking, user is interrupting - stop agent
-                                if (session.isSpeaking) {
-                                    console.log(`⚠️  User interrupted agent - stopping agent speech`);
-                                    session.isSpeaking = false;
-                                    if (session.ws && session.streamSid) {
-                                        session.ws.send(
-                                            JSON.stringify({
-                                                event: "clear",
-                                                streamSid: session.streamSid
-                                            })
-                                        );
-                                    }
-                                }
-
-                                this.appendToContext(session, transcript, "user");
-
-                                const llmResponse = await this.callLLM(session);
-                                this.appendToContext(session, llmResponse, "model");
-
-                                // Generate TTS and send to Twilio
-                                const ttsAudio = await this.synthesizeTTS(llmResponse, session.agentVoiceId, session);
-                                if (ttsAudio) {
-                                    this.sendAudioToTwilio(session, ttsAudio);
-                                }
+                                await this.engine.handleTranscript(session, data.channel?.alternatives?.[0], data.is_final);
                             } catch (err) {
                                 console.error("❌ Transcript error:", err);
                             }
@@ -332,51 +187,13 @@ class MediaStreamHandler {
                         });
 
                         // ✅ CRITICAL: Send silence immediately to keep Twilio connection alive
-                        // Twilio may disconnect if it doesn't receive any audio within a few seconds
                         if (session.isReady && session.streamSid) {
                             console.log("🔇 Sending initial silence to keep connection alive...");
-                            const silenceBuffer = Buffer.alloc(160, 0xFF); // µ-law silence (160 bytes = 20ms)
-                            const base64Silence = silenceBuffer.toString('base64');
-
-                            // Send a few silence packets
-                            for (let i = 0; i < 5; i++) {
-                                session.ws.send(JSON.stringify({
-                                    event: "media",
-                                    streamSid: session.streamSid,
-                                    media: { payload: base64Silence }
-                                }));
-                            }
+                            sendSilence(session);
                             console.log("✅ Silence packets sent");
                         }
 
-                        // Send greeting after a short delay (reduced from 1500ms)
-                        setTimeout(async () => {
-                            try {
-                                console.log(`\n========== SENDING GREETING ==========`);
-                                console.log(`👋 Greeting text: "${session.greetingMessage}"`);
-                                console.log(`🔊 Voice ID: ${session.agentVoiceId}`);
-                                console.log(`📞 Call ID: ${session.callId}`);
-                                console.log(`🔗 Stream SID: ${session.streamSid}`);
-                                console.log(`✅ Stream ready: ${session.isReady}`);
-
-                                const audio = await this.synthesizeTTS(session.greetingMessage, session.agentVoiceId, session);
-
-                                if (audio && audio.length > 0) {
-                                    console.log(`✅ Greeting audio generated: ${audio.length} bytes`);
-                                    console.log(`📤 Sending greeting to Twilio...`);
-                                    this.sendAudioToTwilio(session, audio);
-                                    console.log(`========================================\n`);
-                                } else {
-                                    console.error("❌ Greeting audio is empty or null");
-                                    console.error("   This means TTS generation failed!");
-                                    console.log(`========================================\n`);
-                                }
-                            } catch (err) {
-                                console.error("❌ Greeting error:", err);
-                                console.error("❌ Error stack:", err.stack);
-                                console.log(`========================================\n`);
-                            }
-                        }, 800); // Optimized timing
+                        this.engine.startConversation(session, { greetingDelayMs: 800 });
 
                     } else if (data.event === "connected") {
                         console.log("✅ Twilio connected");
@@ -394,6 +211,12 @@ class MediaStreamHandler {
                             }
                         }
 
+                    } else if (data.event === "dtmf") {
+                        // Keypad press from the caller
+                        if (session && data.dtmf?.digit) {
+                            this.handleDtmf(session, data.dtmf.digit);
+                        }
+
                     } else if (data.event === "stop") {
                         console.log("⏹️  Stream stopped");
                         if (callId) this.endSession(callId);
@@ -426,177 +249,160 @@ class MediaStreamHandler {
             }
         }
     }
-    async callLLM(session) {
-        try {
-            console.log("🧠 Calling Gemini LLM...");
-            const response = await this.llmService.generateContent({
-                model: "models/gemini-2.5-flash",
-                contents: session.context,
-                config: { systemInstruction: session.agentPrompt },
-            });
-            let text = response.text;
-            console.log("🧠 Gemini response received:", text);
-
-            // Track Gemini token usage
-            if (response.usageMetadata && session.usage) {
-                const totalTokens = (response.usageMetadata.promptTokenCount || 0) +
-                    (response.usageMetadata.candidatesTokenCount || 0);
-                session.usage.gemini += totalTokens;
-                console.log(`📊 Gemini tokens used: ${totalTokens} (Total: ${session.usage.gemini})`);
-            }
-
-            // Check for Tool Call (JSON format)
-            try {
-                // Remove potential markdown code blocks if present
-                const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-                if (cleanText.startsWith('{') && cleanText.endsWith('}')) {
-                    const parsed = JSON.parse(cleanText);
-
-                    if (parsed.tool && parsed.data) {
-                        console.log(`🛠️ Tool usage detected: ${parsed.tool}`);
-
-                        // Handle Google Sheets Tool
-                        if (parsed.tool.includes('Sheet') || parsed.tool === 'addToSheet' || parsed.tool === 'saveData') {
-                            const googleSheetsService = require('./googleSheetsService.js');
-
-                            // Find the tool definition to get the Spreadsheet ID
-                            let spreadsheetId;
-                            if (session.tools && session.tools.length > 0) {
-                                const tool = session.tools.find(t => t.name === parsed.tool);
-                                if (tool) spreadsheetId = googleSheetsService.extractSpreadsheetId(tool.webhookUrl); // In UI, URL is stored in webhookUrl
-                            }
-
-                            if (!spreadsheetId) {
-                                console.error('Spreadsheet URL not found in tool configuration');
-                            } else {
-                                await googleSheetsService.appendGenericRow(spreadsheetId, parsed.data);
-                            }
-
-                            // Add tool result to context and ask LLM for final response
-                            this.appendToContext(session, JSON.stringify({ tool: parsed.tool, status: "success", message: "Data saved successfully" }), "user"); // mimic user/system confirmation
+    /**
+     * Collect keypad digits from the caller. Digits are sent to the LLM as one turn
+     * once the caller presses # or stops typing.
+     */
+    handleDtmf(session, digit) {
+        if (session.isVoicemail || session.pendingHangup) return;
+
+        console.log(`☎️ Caller pressed: ${digit}`);
+        session.lastUserSpeechTime = Date.now();
+        session.inactivityPromptCount = 0;
+        session.dtmfBuffer += digit;
+
+        if (session.dtmfTimer) clearTimeout(session.dtmfTimer);
+
+        const flush = () => {
+            session.dtmfTimer = null;
+            const digits = session.dtmfBuffer;
+            session.dtmfBuffer = '';
+            if (!digits) return;
+
+            this.engine.handleUserTurn(session, `(The caller pressed ${digits} on their keypad)`, digits)
+                .catch(err => console.error("❌ DTMF turn error:", err));
+        };
 
-                            // Recursively call LLM to get the verbal response
-                            return await this.callLLM(session);
-                        }
-                    }
-                }
-            } catch (jsonError) {
-                // Not a valid JSON tool call, just regular text -> continue
-            }
+        if (digit === '#') {
+            flush();
+        } else {
+            session.dtmfTimer = setTimeout(flush, DTMF_INPUT_TIMEOUT_MS);
+        }
+    }
 
-            return text;
-        } catch (err) {
-            console.error("❌ LLM error:", err);
-            return "I apologize, I'm having trouble processing that right now.";
+    findSessionByCallSid(callSid) {
+        for (const session of sessions.values()) {
+            if (session.callSid === callSid) return session;
         }
+        return null;
     }
 
-    async synthesizeTTS(text, voiceId, session = null) {
-        try {
-            // Use TTS controller for provider abstraction
-            const { generateTTS } = require('./tts_controller.js');
+    /**
+     * Handle an answering machine detection result for a live call.
+     * Depending on the action the agent either leaves the voicemail message or hangs up.
+     */
+    async handleVoicemail(callSid, action, message) {
+        const session = this.findSessionByCallSid(callSid);
+
+        if (!session) {
+            // Stream not connected (or already gone) - just end the call
+            console.log(`📭 No active session for ${callSid}, hanging up`);
+            await this.getTwilioClient().calls(callSid).update({ status: 'completed' });
+            return;
+        }
 
-            console.log(`🔊 Synthesizing TTS with voice: ${voiceId}`);
+        session.isVoicemail = true;
+        session.endReason = 'voicemail';
 
-            const audioBuffer = await generateTTS(text, { voiceId });
+        // Stop anything the agent is currently saying to the machine
+        this.engine.stopPlayback(session);
 
-            // Track TTS usage for billing
-            if (session && session.usage) {
-                const characterCount = text.length;
-                const isSarvam = voiceId && (voiceId.includes('sarvam') || voiceId.includes('anushka') || voiceId.includes('arvind'));
+        if (action === 'leave_message' && message) {
+            console.log(`📭 Leaving voicemail for call ${session.callId}`);
+            this.engine.appendToContext(session, message, "model");
+            await this.engine.speakAndHangup(session, message);
+        } else {
+            await this.hangup(session);
+        }
+    }
 
-                if (isSarvam) {
-                    session.usage.sarvam += characterCount;
-                    console.log(`📊 Sarvam TTS: ${characterCount} characters (Total: ${session.usage.sarvam})`);
-                } else {
-                    session.usage.elevenlabs += characterCount;
-                    console.log(`📊 ElevenLabs TTS: ${characterCount} characters (Total: ${session.usage.elevenlabs})`);
-                }
-            }
+    /**
+     * Redirect the live call to the configured number or SIP address once the
+     * caller has heard the handoff line. The human agent hears the conversation
+     * summary before being connected.
+     */
+    async transferCall(session) {
+        const { reason, summary } = session.pendingTransfer;
+        const target = session.transferTarget;
+        session.pendingTransfer = null;
+
+        if (!session.callSid) {
+            console.error(`❌ Cannot transfer call ${session.callId}: no Twilio call SID`);
+            return;
+        }
 
-            if (!audioBuffer) {
-                console.error("❌ TTS generation returned null");
-                return null;
-            }
+        let appUrl = process.env.APP_URL || process.env.BASE_URL || '';
+        if (appUrl && !appUrl.startsWith('http://') && !appUrl.startsWith('https://')) {
+            appUrl = `https://${appUrl}`;
+        }
+        const whisperUrl = `${appUrl.replace(/\/$/, '')}/api/twilio/transfer-whisper?summary=${encodeURIComponent(summary || '')}`;
+
+        const response = new twilio.twiml.VoiceResponse();
+        const dial = response.dial();
+        if (target.startsWith('sip:')) {
+            dial.sip({ url: whisperUrl }, target);
+        } else {
+            dial.number({ url: whisperUrl }, target);
+        }
 
-            console.log(`✅ TTS generated: ${audioBuffer.length} bytes (µ-law 8kHz) using voice ${voiceId}`);
-            return audioBuffer;
+        try {
+            await this.getTwilioClient().calls(session.callSid).update({ twiml: response.toString() });
         } catch (err) {
-            console.error("❌ TTS error:", err);
-            return null;
+            console.error(`❌ Error transferring call ${session.callSid}:`, err.message);
+            await this.engine.callLogs.log(session, 'error', `Transfer to ${target} failed`, { error: err.message });
+            return;
+        }
+
+        session.endReason = 'transferred';
+        const callRecordId = await this.engine.callLogs.resolveCallRecordId(session);
+        if (callRecordId) {
+            await this.mysqlPool.execute(
+                `UPDATE calls SET status = 'transferred', transferred_to = ?, transferred_at = NOW() WHERE id = ?`,
+                [target, callRecordId]
+            ).catch(err => console.error('❌ Error recording transfer:', err.message));
         }
+        await this.engine.callLogs.log(session, 'transfer', `Call transferred to ${target}`, { target, reason, summary });
     }
-    sendAudioToTwilio(session, audioBuffer) {
-        try {
-            if (!session.isReady || !session.streamSid) {
-                console.log("⏸️  Queueing audio - stream not ready yet");
-                session.audioQueue.push(audioBuffer);
-                return;
+
+    /**
+     * Close the Twilio call via the REST API and stop billing for the session
+     */
+    async hangup(session) {
+        if (session.callSid) {
+            try {
+                await this.getTwilioClient().calls(session.callSid).update({ status: 'completed' });
+                console.log(`📴 Hung up call ${session.callSid}`);
+            } catch (err) {
+                console.error(`❌ Error hanging up call ${session.callSid}:`, err.message);
             }
+        }
+        this.endSession(session.callId);
+    }
 
-            // ✅ Set speaking flag
-            session.isSpeaking = true;
-
-            const base64Audio = audioBuffer.toString("base64");
-            const chunkSize = 214; // 160 bytes µ-law = 214 chars base64
-            let chunksSent = 0;
-
-            console.log(`📤 Sending audio to Twilio:`);
-            console.log(`   Raw buffer length: ${audioBuffer.length} bytes`);
-            console.log(`   Total base64 length: ${base64Audio.length}`);
-            console.log(`   First 20 bytes (hex): ${audioBuffer.slice(0, 20).toString('hex')}`);
-            console.log(`   First 20 bytes (decimal): [${Array.from(audioBuffer.slice(0, 20)).join(', ')}]`);
-            console.log(`   First 50 base64 chars: ${base64Audio.substring(0, 50)}`);
-            console.log(`   Expected chunks: ${Math.ceil(base64Audio.length / chunkSize)}`);
-
-            // Send chunks with small delays for better playback
-            let offset = 0;
-            const sendNextChunk = () => {
-                if (offset >= base64Audio.length) {
-                    // All chunks sent, send mark
-                    session.ws.send(
-                        JSON.stringify({
-                            event: "mark",
-                            streamSid: session.streamSid,
-                            mark: { name: "audio_complete" },
-                        })
-                    );
-
-                    console.log(`✅ Sent ${chunksSent} audio chunks to Twilio (streamSid: ${session.streamSid})`);
-
-                    // Clear speaking flag after estimated duration
-                    const estimatedDurationMs = chunksSent * 20;
-                    setTimeout(() => {
-                        session.isSpeaking = false;
-                        console.log(`✅ Agent finished speaking`);
-                    }, estimatedDurationMs);
-                    return;
-                }
+    /**
+     * Play keypad tones on the call
+     */
+    sendDtmf(session, digits) {
+        this.engine.playAudio(session, generateDtmfAudio(digits));
+    }
 
-                const chunk = base64Audio.slice(offset, offset + chunkSize);
-                session.ws.send(
-                    JSON.stringify({
-                        event: "media",
-                        streamSid: session.streamSid,
-                        media: {
-                            payload: chunk
-                        },
-                    })
-                );
-                chunksSent++;
-                offset += chunkSize;
-
-                // Send next chunk after 20ms (matches 160 bytes @ 8kHz = 20ms of audio)
-                setTimeout(sendNextChunk, 20);
-            };
-
-            // Start sending chunks
-            sendNextChunk();
+    /**
+     * Flush audio Twilio has buffered but not yet played
+     */
+    stopAudio(session) {
+        clearMedia(session);
+    }
 
-        } catch (err) {
-            console.error("❌ Error sending audio to Twilio:", err);
-            session.isSpeaking = false; // Clear flag on error
+    /**
+     * Play a buffer on the call, holding it back until Twilio has started the stream
+     */
+    sendAudio(session, audioBuffer, generation) {
+        if (!session.isReady || !session.streamSid) {
+            console.log("⏸️  Queueing audio - stream not ready yet");
+            session.audioQueue.push(audioBuffer);
+            return Promise.resolve();
         }
+        return sendMediaFrames(session, audioBuffer, generation);
     }
 }
 module.exports = { MediaStreamHandler };
@@ -2,31 +2,31 @@ const nodeFetch = require("node-fetch");
 
 const { sarvamTTS } = require("./tts_sarvam.js");
 
-async function generateTTS(text, options = {}) {
-    // Known Sarvam speakers
-    const sarvamSpeakers = [
-        'anushka', 'abhilash', 'manisha', 'vidya', 'arya', 'karun', 'hitesh', 'aditya',
-        'isha', 'ritu', 'chirag', 'harsh', 'sakshi', 'priya', 'neha', 'rahul',
-        'pooja', 'rohan', 'simran', 'kavya', 'anjali', 'sneha', 'kiran', 'vikram',
-        'rajesh', 'sunita', 'tara', 'anirudh', 'kriti', 'ishaan', 'ratan', 'varun',
-        'manan', 'sumit', 'roopa', 'kabir', 'aayan', 'shubh'
-    ];
+// Known Sarvam speakers
+const SARVAM_SPEAKERS = [
+    'anushka', 'abhilash', 'manisha', 'vidya', 'arya', 'karun', 'hitesh', 'aditya',
+    'isha', 'ritu', 'chirag', 'harsh', 'sakshi', 'priya', 'neha', 'rahul',
+    'pooja', 'rohan', 'simran', 'kavya', 'anjali', 'sneha', 'kiran', 'vikram',
+    'rajesh', 'sunita', 'tara', 'anirudh', 'kriti', 'ishaan', 'ratan', 'varun',
+    'manan', 'sumit', 'roopa', 'kabir', 'aayan', 'shubh'
+];
+
+/**
+ * The provider generateTTS will use for a voice, so usage can be billed to it
+ */
+function getTTSProvider(voiceId) {
+    if (process.env.TTS_PROVIDER) return process.env.TTS_PROVIDER;
+    return SARVAM_SPEAKERS.includes((voiceId || '').toLowerCase()) ? 'sarvam' : 'elevenlabs';
+}
 
+// options.signal (AbortSignal) cancels the request, e.g. when the caller interrupts the agent
+async function generateTTS(text, options = {}) {
     // Auto-detect provider based on voice ID or speaker
-    let provider = options.provider || process.env.TTS_PROVIDER;
-
-    // If no provider specified, try to detect from voice ID/speaker
-    if (!provider) {
-        const voiceId = (options.voiceId || options.speaker || '').toLowerCase();
-        if (sarvamSpeakers.includes(voiceId)) {
-            provider = 'sarvam';
-            // Set speaker if not already set
-            if (!options.speaker) {
-                options.speaker = voiceId;
-            }
-        } else {
-            provider = 'elevenlabs';
-        }
+    const provider = options.provider || getTTSProvider(options.voiceId || options.speaker);
+
+    // Set speaker if not already set
+    if (provider === 'sarvam' && !options.speaker) {
+        options.speaker = (options.voiceId || '').toLowerCase();
     }
 
     console.log(`[TTS Controller] Selected provider: ${provider}`);
@@ -42,7 +42,7 @@ async function generateTTS(text, options = {}) {
         console.error(`[TTS Controller] Error with ${provider} provider:`, error.message);
 
         // Implement fallback mechanism
-        if (provider === "sarvam") {
+        if (provider === "sarvam" && !options.signal?.aborted) {
             console.log("[TTS Controller] ⚠️  Sarvam failed, falling back to ElevenLabs...");
             try {
                 // Use default ElevenLabs voice as fallback
@@ -59,17 +59,10 @@ async function generateTTS(text, options = {}) {
 
 async function generateSarvamTTS(text, options) {
     console.log("[TTS Controller] Routing to Sarvam TTS");
-    const validSarvamSpeakers = [
-        'anushka', 'abhilash', 'manisha', 'vidya', 'arya', 'karun', 'hitesh', 'aditya',
-        'isha', 'ritu', 'chirag', 'harsh', 'sakshi', 'priya', 'neha', 'rahul',
-        'pooja', 'rohan', 'simran', 'kavya', 'anjali', 'sneha', 'kiran', 'vikram',
-        'rajesh', 'sunita', 'tara', 'anirudh', 'kriti', 'ishaan', 'ratan', 'varun',
-        'manan', 'sumit', 'roopa', 'kabir', 'aayan', 'shubh'
-    ];
     // Validate and sanitize speaker
     let speaker = (options.speaker || options.voiceId || 'anushka').toLowerCase();
     // If speaker is not in valid list, use default
-    if (!validSarvamSpeakers.includes(speaker)) {
+    if (!SARVAM_SPEAKERS.includes(speaker)) {
         console.log(`[TTS Controller] ⚠️  Invalid Sarvam speaker "${speaker}", using default "anushka"`);
         speaker = 'anushka';
     }
@@ -78,6 +71,7 @@ async function generateSarvamTTS(text, options) {
         speaker: speaker,
         format: options.format,
         skipConversion: options.skipConversion,
+        signal: options.signal,
     });
 }
 
@@ -118,6 +112,7 @@ async function generateElevenLabsTTS(text, options) {
                     },
                     output_format: options.output_format || options.format || "ulaw_8000",
                 }),
+                signal: options.signal,
             }
         );
 
@@ -142,4 +137,5 @@ function getElevenLabsApiKey() {
 
 module.exports = {
     generateTTS,
+    getTTSProvider,
 };
@@ -49,6 +49,7 @@ async function sarvamTTS(text, options = {}) {
                     model: "bulbul:v2",
                     enable_preprocessing: true
                 }),
+                signal: options.signal,
             }
         );
 
@@ -0,0 +1,199 @@
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const nodeFetch = require('node-fetch');
+
+// Delay before each retry; a delivery is given up after the last one fails
+const RETRY_DELAYS_MS = [5000, 30000, 120000, 600000];
+const REQUEST_TIMEOUT_MS = 10000;
+// Retries are stored as next_attempt_at and sent by whichever server scans for them first,
+// so a restart doesn't lose them
+const RETRY_SCAN_INTERVAL_MS = 5000;
+// A delivery being attempted is held this long. If the server dies mid-attempt it becomes
+// due again afterwards.
+const ATTEMPT_LEASE_SECONDS = 60;
+
+class WebhookService {
+    constructor(mysqlPool) {
+        this.mysqlPool = mysqlPool;
+    }
+
+    /**
+     * HMAC-SHA256 signature over "<timestamp>.<body>"
+     */
+    sign(body, timestamp, secret) {
+        return crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    /**
+     * Queue a signed webhook delivery. Every attempt is recorded in webhook_deliveries
+     * and failed attempts are retried with increasing delays by the retry worker.
+     * @param {Object} options
+     * @param {string} options.url - Destination URL
+     * @param {string} options.eventType - e.g. "call.ended"
+     * @param {Object} options.payload - JSON body
+     * @param {string} [options.secret] - Signing secret; falls back to WEBHOOK_SIGNING_SECRET.
+     *   Retries sign with the agent's webhookSecret, so pass that one.
+     * @returns {string} - Delivery ID
+     */
+    async deliver({ url, eventType, payload, secret, userId = null, agentId = null, callId = null }) {
+        const deliveryId = uuidv4();
+        const body = JSON.stringify(payload);
+
+        try {
+            await this.mysqlPool.execute(
+                `INSERT INTO webhook_deliveries
+                 (id, user_id, agent_id, call_id, event_type, url, payload, status, attempts, next_attempt_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', 0, NOW() + INTERVAL ? SECOND)`,
+                [deliveryId, userId, agentId, callId, eventType, url, body, ATTEMPT_LEASE_SECONDS]
+            );
+        } catch (error) {
+            console.error('Error recording webhook delivery:', error.message);
+        }
+
+        this.attempt(deliveryId, url, eventType, body, secret || process.env.WEBHOOK_SIGNING_SECRET, 0);
+        return deliveryId;
+    }
+
+    /**
+     * Send one attempt and, if it fails, record when the next retry is due
+     */
+    async attempt(deliveryId, url, eventType, body, secret, attemptIndex) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Ziya-Event': eventType,
+            'X-Ziya-Delivery': deliveryId,
+            'X-Ziya-Timestamp': timestamp
+        };
+        if (secret) {
+            headers['X-Ziya-Signature'] = `sha256=${this.sign(body, timestamp, secret)}`;
+        }
+
+        let statusCode = null;
+        let error = null;
+
+        try {
+            const response = await nodeFetch(url, {
+                method: 'POST',
+                headers,
+                body,
+                timeout: REQUEST_TIMEOUT_MS
+            });
+            statusCode = response.status;
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (err) {
+            error = err.message;
+        }
+
+        const retriesLeft = attemptIndex < RETRY_DELAYS_MS.length;
+        const status = !error ? 'delivered' : (retriesLeft ? 'retrying' : 'failed');
+        const retryDelayMs = status === 'retrying' ? RETRY_DELAYS_MS[attemptIndex] : null;
+
+        try {
+            await this.mysqlPool.execute(
+                `UPDATE webhook_deliveries
+                 SET status = ?, attempts = ?, last_status_code = ?, last_error = ?, last_attempt_at = NOW(),
+                     delivered_at = IF(? = 'delivered', NOW(), delivered_at),
+                     next_attempt_at = IF(? IS NULL, NULL, NOW() + INTERVAL ? SECOND)
+                 WHERE id = ?`,
+                [status, attemptIndex + 1, statusCode, error, status, retryDelayMs, (retryDelayMs || 0) / 1000, deliveryId]
+            );
+        } catch (err) {
+            console.error('Error updating webhook delivery:', err.message);
+        }
+
+        if (!error) {
+            console.log(`📤 Webhook ${eventType} delivered to ${url}`);
+            return;
+        }
+
+        if (retriesLeft) {
+            console.warn(`⚠️ Webhook ${eventType} to ${url} failed (${error}), retrying in ${retryDelayMs / 1000}s`);
+        } else {
+            console.error(`❌ Webhook ${eventType} to ${url} failed after ${attemptIndex + 1} attempts: ${error}`);
+        }
+    }
+
+    /**
+     * Send due retries, now and on an interval. Also picks up deliveries whose
+     * attempt was cut short by a restart. Called once when the server starts.
+     */
+    startRetryWorker() {
+        this.retryDueDeliveries().catch(err => console.error('Error retrying webhooks:', err));
+        this.retryScanTimer = setInterval(() => {
+            this.retryDueDeliveries().catch(err => console.error('Error retrying webhooks:', err));
+        }, RETRY_SCAN_INTERVAL_MS);
+        this.retryScanTimer.unref();
+    }
+
+    async retryDueDeliveries() {
+        const [deliveries] = await this.mysqlPool.execute(
+            `SELECT d.id, d.event_type, d.url, d.payload, d.attempts, a.settings AS agent_settings
+             FROM webhook_deliveries d
+             LEFT JOIN agents a ON a.id = d.agent_id
+             WHERE d.status IN ('pending', 'retrying') AND d.next_attempt_at <= NOW()
+             ORDER BY d.next_attempt_at
+             LIMIT 50`
+        );
+
+        for (const delivery of deliveries) {
+            // Hold the delivery so other servers scanning at the same time skip it
+            const [claimed] = await this.mysqlPool.execute(
+                `UPDATE webhook_deliveries SET next_attempt_at = NOW() + INTERVAL ? SECOND
+                 WHERE id = ? AND status IN ('pending', 'retrying') AND next_attempt_at <= NOW()`,
+                [ATTEMPT_LEASE_SECONDS, delivery.id]
+            );
+            if (claimed.affectedRows === 0) continue;
+
+            const agentSettings = typeof delivery.agent_settings === 'string'
+                ? JSON.parse(delivery.agent_settings)
+                : (delivery.agent_settings || {});
+            const secret = agentSettings.webhookSecret || process.env.WEBHOOK_SIGNING_SECRET;
+
+            this.attempt(delivery.id, delivery.url, delivery.event_type, delivery.payload, secret, delivery.attempts)
+                .catch(err => console.error('Error retrying webhook:', err));
+        }
+    }
+
+    /**
+     * Get the delivery log for a user
+     */
+    async getDeliveries(userId, { callId = null, status = null, limit = 50 } = {}) {
+        let query = `SELECT id, agent_id, call_id, event_type, url, status, attempts, last_status_code,
+                            last_error, created_at, last_attempt_at, delivered_at
+                     FROM webhook_deliveries WHERE user_id = ?`;
+        const params = [userId];
+
+        if (callId) {
+            query += ' AND call_id = ?';
+            params.push(callId);
+        }
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        query += ` ORDER BY created_at DESC LIMIT ${Math.min(parseInt(limit, 10) || 50, 500)}`;
+
+        const [rows] = await this.mysqlPool.execute(query, params);
+        return rows;
+    }
+
+    /**
+     * Get a single delivery including the payload that was sent
+     */
+    async getDelivery(userId, deliveryId) {
+        const [rows] = await this.mysqlPool.execute(
+            'SELECT * FROM webhook_deliveries WHERE id = ? AND user_id = ?',
+            [deliveryId, userId]
+        );
+        return rows[0] || null;
+    }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    UNRESTRICTED_CALLING_WINDOW,
+    isValidTimeZone,
+    isWithinCallingWindow,
+    nextCallingWindowStart
+} = require('../utils/callingHours.js');
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const NEW_YORK = 'America/New_York';
+
+// 2026-01-05 is a Monday; New York is UTC-5 in January
+test('business hours window is checked in the contact timezone', () => {
+    const window = { start: '10:00', end: '19:00', days: WEEKDAYS };
+
+    assert.equal(isWithinCallingWindow(new Date('2026-01-05T15:00:00Z'), window, NEW_YORK), true);
+    assert.equal(isWithinCallingWindow(new Date('2026-01-05T14:59:00Z'), window, NEW_YORK), false);
+    assert.equal(isWithinCallingWindow(new Date('2026-01-06T00:00:00Z'), window, NEW_YORK), false);
+    // Saturday
+    assert.equal(isWithinCallingWindow(new Date('2026-01-10T16:00:00Z'), window, NEW_YORK), false);
+});
+
+test('overnight window belongs to the day it opened', () => {
+    const window = { start: '20:00', end: '02:00', days: [5] };
+
+    // Friday 21:00 and Saturday 01:00 local
+    assert.equal(isWithinCallingWindow(new Date('2026-01-10T02:00:00Z'), window, NEW_YORK), true);
+    assert.equal(isWithinCallingWindow(new Date('2026-01-10T06:00:00Z'), window, NEW_YORK), true);
+    // Saturday 03:00 local, and Thursday 01:00 local (opened on Wednesday)
+    assert.equal(isWithinCallingWindow(new Date('2026-01-10T08:00:00Z'), window, NEW_YORK), false);
+    assert.equal(isWithinCallingWindow(new Date('2026-01-08T06:00:00Z'), window, NEW_YORK), false);
+});
+
+test('unrestricted window covers every moment', () => {
+    for (const iso of ['2026-01-05T00:00:00Z', '2026-01-10T12:34:00Z', '2026-07-04T23:59:00Z']) {
+        assert.equal(isWithinCallingWindow(new Date(iso), UNRESTRICTED_CALLING_WINDOW, 'Asia/Kolkata'), true);
+    }
+});
+
+test('next window start is found on the next allowed day', () => {
+    const window = { start: '10:00', end: '19:00', days: WEEKDAYS };
+
+    // Monday 08:00 local opens later the same day
+    assert.equal(
+        nextCallingWindowStart(new Date('2026-01-05T13:00:00Z'), window, NEW_YORK).toISOString(),
+        '2026-01-05T15:00:00.000Z'
+    );
+    // Friday 20:00 local waits for Monday
+    assert.equal(
+        nextCallingWindowStart(new Date('2026-01-10T01:00:00Z'), window, NEW_YORK).toISOString(),
+        '2026-01-12T15:00:00.000Z'
+    );
+});
+
+test('next window start follows daylight saving time', () => {
+    const window = { start: '09:00', end: '17:00', days: [1] };
+
+    // Sunday 2026-03-08 is the spring-forward day; Monday 09:00 is UTC-4
+    assert.equal(
+        nextCallingWindowStart(new Date('2026-03-08T12:00:00Z'), window, NEW_YORK).toISOString(),
+        '2026-03-09T13:00:00.000Z'
+    );
+});
+
+test('window without days never opens', () => {
+    assert.equal(nextCallingWindowStart(new Date(), { start: '09:00', end: '17:00', days: [] }, NEW_YORK), null);
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+    assert.equal(isValidTimeZone('Europe/London'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(null), false);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeToE164, parseCsv } = require('../utils/contactImporter.js');
+
+test('normalizeToE164 keeps international numbers', () => {
+    assert.deepEqual(normalizeToE164('+1 (415) 555-0123'), { phone: '+14155550123' });
+    assert.deepEqual(normalizeToE164('0044 20 7946 0958'), { phone: '+442079460958' });
+});
+
+test('normalizeToE164 adds the default country code', () => {
+    assert.deepEqual(normalizeToE164('(415) 555-0123', 'US'), { phone: '+14155550123' });
+    assert.deepEqual(normalizeToE164('14155550123', 'us'), { phone: '+14155550123' });
+    // Trunk prefix is dropped
+    assert.deepEqual(normalizeToE164('020 7946 0958', 'GB'), { phone: '+442079460958' });
+    assert.deepEqual(normalizeToE164('09876543210', 'IN'), { phone: '+919876543210' });
+});
+
+test('normalizeToE164 strips extensions', () => {
+    assert.deepEqual(normalizeToE164('+1 415 555 0123 ext. 42'), { phone: '+14155550123' });
+    assert.deepEqual(normalizeToE164('415-555-0123 x7', 'US'), { phone: '+14155550123' });
+});
+
+test('normalizeToE164 reports numbers it cannot normalize', () => {
+    assert.ok(normalizeToE164('').error);
+    assert.ok(normalizeToE164(null).error);
+    assert.ok(normalizeToE164('call me').error);
+    assert.ok(normalizeToE164('4155550123').error, 'no country code or default country');
+    assert.ok(normalizeToE164('+1234').error, 'too short');
+    assert.ok(normalizeToE164('+1 015 555 0123').error, 'invalid North American area code');
+});
+
+test('parseCsv handles quoted fields', () => {
+    const rows = parseCsv('name,phone,notes\r\n"Smith, Jane",+14155550123,"Said ""call later""\non Friday"\n');
+
+    assert.deepEqual(rows, [
+        ['name', 'phone', 'notes'],
+        ['Smith, Jane', '+14155550123', 'Said "call later"\non Friday']
+    ]);
+});
+
+test('parseCsv detects the delimiter from the header', () => {
+    assert.deepEqual(parseCsv('name;phone\nJane;+14155550123'), [['name', 'phone'], ['Jane', '+14155550123']]);
+    assert.deepEqual(parseCsv('name\tphone\nJane\t+14155550123'), [['name', 'phone'], ['Jane', '+14155550123']]);
+    // A comma inside a quoted header doesn't count
+    assert.deepEqual(parseCsv('"last, first";phone\nSmith, Jane;1'), [['last, first', 'phone'], ['Smith, Jane', '1']]);
+});
+
+test('parseCsv drops a BOM and blank rows', () => {
+    assert.deepEqual(parseCsv('﻿phone\n\n+14155550123\n,\n'), [['phone'], ['+14155550123']]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateDtmfAudio, isValidDtmf } = require('../utils/dtmf.js');
+
+// µ-law encoding of a zero sample
+const MULAW_SILENCE = 0xFF;
+
+test('isValidDtmf accepts keypad keys and pauses', () => {
+    assert.equal(isValidDtmf('0123456789*#'), true);
+    assert.equal(isValidDtmf('1w2W3abcd'), true);
+    assert.equal(isValidDtmf(''), false);
+    assert.equal(isValidDtmf('12 34'), false);
+    assert.equal(isValidDtmf('1e'), false);
+    assert.equal(isValidDtmf(1234), false);
+});
+
+test('each key renders a tone followed by a gap', () => {
+    const audio = generateDtmfAudio('1');
+
+    // 150ms tone + 100ms gap at 8kHz
+    assert.equal(audio.length, 2000);
+    assert.ok(audio.subarray(1, 1200).some(byte => byte !== MULAW_SILENCE));
+    assert.ok(audio.subarray(1200).every(byte => byte === MULAW_SILENCE));
+});
+
+test('w inserts a pause and unknown keys are skipped', () => {
+    assert.equal(generateDtmfAudio('1w2').length, 2000 + 4000 + 2000);
+    assert.equal(generateDtmfAudio('1?').length, 2000);
+    assert.equal(generateDtmfAudio('5', { toneMs: 50, gapMs: 50 }).length, 800);
+});
+
+test('different keys produce different tones', () => {
+    assert.notDeepEqual(generateDtmfAudio('1'), generateDtmfAudio('2'));
+    assert.deepEqual(generateDtmfAudio('a'), generateDtmfAudio('A'));
+});
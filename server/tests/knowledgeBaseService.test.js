@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KnowledgeBaseService = require('../services/knowledgeBaseService.js');
+
+const knowledgeBase = new KnowledgeBaseService(null);
+
+const words = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+test('chunkText overlaps long paragraphs', () => {
+    const chunks = knowledgeBase.chunkText(words('w', 200));
+
+    assert.equal(chunks.length, 2);
+    assert.equal(chunks[0].text.split(' ').length, 120);
+    // The second chunk repeats the last 30 words of the first
+    assert.equal(chunks[1].text.split(' ')[0], 'w90');
+    assert.equal(chunks[1].text.split(' ').pop(), 'w199');
+});
+
+test('chunkText starts a chunk at each heading and records section and page', () => {
+    const chunks = knowledgeBase.chunkText([
+        '[Page 1]',
+        'Welcome to the handbook.',
+        '# Refunds',
+        'Refunds are issued within 14 days.',
+        '[Page 2]',
+        '## Shipping',
+        'Orders ship in two business days.'
+    ].join('\n\n'));
+
+    assert.deepEqual(chunks, [
+        { text: 'Welcome to the handbook.', section: null, page: 1 },
+        { text: '# Refunds Refunds are issued within 14 days.', section: 'Refunds', page: 1 },
+        { text: '## Shipping Orders ship in two business days.', section: 'Shipping', page: 2 }
+    ]);
+});
+
+test('chunkText keeps a paragraph whole when it fits in a fresh chunk', () => {
+    const chunks = knowledgeBase.chunkText(`${words('a', 100)}\n\n${words('b', 50)}`);
+
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks[1].text.endsWith(words('b', 50)));
+    assert.ok(chunks[0].text.endsWith('a99'));
+});
+
+test('search ranks the chunk that matches the query', () => {
+    const index = knowledgeBase.buildIndex([
+        { id: 'doc-1', name: 'Policies', content: '# Refunds\n\nRefunds are issued to the original card within 14 days.' },
+        { id: 'doc-2', name: 'Shipping', content: 'Orders ship within two business days by courier.' },
+        { id: 'doc-3', name: 'Empty', content: null }
+    ]);
+
+    const results = knowledgeBase.search(index, 'How long do refunds take?');
+    assert.equal(results.length, 1);
+    assert.equal(results[0].documentId, 'doc-1');
+    assert.equal(results[0].documentName, 'Policies');
+    assert.equal(results[0].section, 'Refunds');
+    assert.ok(results[0].score > 0);
+
+    assert.deepEqual(knowledgeBase.search(index, 'what is it'), []);
+    assert.deepEqual(knowledgeBase.search(null, 'refunds'), []);
+});
+
+test('search returns the top results in score order', () => {
+    const index = knowledgeBase.buildIndex([
+        { id: 1, name: 'a', content: 'courier courier courier delivery' },
+        { id: 2, name: 'b', content: 'courier delivery times vary by region and season' },
+        { id: 3, name: 'c', content: 'delivery only' }
+    ]);
+
+    const results = knowledgeBase.search(index, 'courier', 1);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].documentId, 1);
+});
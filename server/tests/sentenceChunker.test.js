@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSentenceChunker } = require('../utils/sentenceChunker.js');
+
+test('sentences are emitted as soon as they end', () => {
+    const chunker = createSentenceChunker();
+
+    assert.deepEqual(chunker.push('Thanks for calling today'), []);
+    assert.deepEqual(chunker.push('. How can I help you? I'), ['Thanks for calling today.', 'How can I help you?']);
+    assert.deepEqual(chunker.push(' can check your order'), []);
+    assert.equal(chunker.flush(), 'I can check your order');
+    assert.equal(chunker.flush(), '');
+});
+
+test('abbreviations do not end a sentence', () => {
+    const chunker = createSentenceChunker();
+
+    assert.deepEqual(chunker.push('Dr. Smith will see you at ten on Main St. tomorrow. '), [
+        'Dr. Smith will see you at ten on Main St. tomorrow.'
+    ]);
+});
+
+test('short fragments are held for the next sentence', () => {
+    const chunker = createSentenceChunker();
+
+    assert.deepEqual(chunker.push('Sure. Let me look that up. '), ['Sure. Let me look that up.']);
+});
+
+test('closing quotes and new lines end a sentence', () => {
+    const chunker = createSentenceChunker();
+
+    assert.deepEqual(chunker.push('She said "we will call back." Then\nthe line went quiet\n'), [
+        'She said "we will call back."',
+        'Then\nthe line went quiet'
+    ]);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { splitSqlStatements } = require('../utils/sqlStatements.js');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+test('statements are split on semicolons', () => {
+    assert.deepEqual(splitSqlStatements('CREATE TABLE a (id INT);\n\nINSERT INTO a VALUES (1);\n'), [
+        'CREATE TABLE a (id INT)',
+        'INSERT INTO a VALUES (1)'
+    ]);
+    assert.deepEqual(splitSqlStatements('SELECT 1'), ['SELECT 1']);
+    assert.deepEqual(splitSqlStatements(' ;\n; '), []);
+});
+
+test('semicolons in comments do not split statements', () => {
+    const sql = [
+        '-- Adds a column; existing rows keep NULL',
+        '# MySQL comment; also ignored',
+        'ALTER TABLE a /* one; two */ ADD COLUMN b INT; -- trailing; comment',
+        'SELECT 2;'
+    ].join('\n');
+
+    assert.deepEqual(splitSqlStatements(sql), ['ALTER TABLE a   ADD COLUMN b INT', 'SELECT 2']);
+});
+
+test('semicolons in strings and identifiers do not split statements', () => {
+    const sql = "INSERT INTO `a;b` VALUES ('x;y', \"it\\'s; fine\", 'don''t; stop', '-- not a comment');SELECT 3";
+
+    assert.deepEqual(splitSqlStatements(sql), [
+        "INSERT INTO `a;b` VALUES ('x;y', \"it\\'s; fine\", 'don''t; stop', '-- not a comment')",
+        'SELECT 3'
+    ]);
+});
+
+test('double dash without a space is not a comment', () => {
+    assert.deepEqual(splitSqlStatements('SELECT 5--1;'), ['SELECT 5--1']);
+});
+
+test('every migration splits into SQL statements', () => {
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql'));
+    assert.ok(files.length > 0);
+
+    for (const file of files) {
+        const statements = splitSqlStatements(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+        assert.ok(statements.length > 0, `${file} has no statements`);
+        for (const statement of statements) {
+            assert.match(
+                statement,
+                /^(CREATE|ALTER|INSERT|UPDATE|DELETE|DROP|SET|SELECT|RENAME|USE|DESCRIBE)\b/i,
+                `${file}: unexpected statement start "${statement.slice(0, 60)}"`
+            );
+        }
+    }
+});
@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.Tool = exports.ToolHeader = exports.ToolParameter = exports.PreActionPhraseMode = exports.ToolType = void 0;
+exports.Tool = exports.ToolHeader = exports.ToolParameter = exports.WebhookAuthType = exports.PreActionPhraseMode = exports.ToolType = void 0;
 exports.ToolType = {
     Webhook: 'Webhook',
     WebForm: 'Web Form',
@@ -11,6 +11,40 @@ exports.PreActionPhraseMode = {
     Flexible: 'flexible',
     Strict: 'strict',
 };
+exports.WebhookAuthType = {
+    None: 'none',
+    Bearer: 'bearer',
+    Hmac: 'hmac',
+};
+/**
+ * @typedef {Object} ToolParameter
+ * @property {string} name
+ * @property {'string'|'number'|'boolean'} type
+ * @property {boolean} required
+ */
 exports.ToolParameter = {};
+/**
+ * @typedef {Object} ToolHeader
+ * @property {string} key - Header name, e.g. "X-Api-Key"
+ * @property {string} value
+ */
 exports.ToolHeader = {};
+/**
+ * @typedef {Object} Tool
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string} type - One of ToolType
+ * @property {string} [webhookUrl] - Webhook URL, or the spreadsheet URL for Google Sheets tools
+ * @property {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'} [method]
+ * @property {ToolHeader[]} [headers]
+ * @property {{ type: string, token?: string, secret?: string }} [auth] - type is one of WebhookAuthType
+ * @property {string} [bodyTemplate] - JSON body with {{parameter}} placeholders; defaults to the collected parameters
+ * @property {number} [timeoutSeconds]
+ * @property {boolean} [runAfterCall]
+ * @property {Array<{ name: string, path: string }>} [responseFields] - Values read from the JSON response by path, e.g. $.data.status
+ * @property {string} preActionPhrasesMode - One of PreActionPhraseMode
+ * @property {string[]} preActionPhrases
+ * @property {ToolParameter[]} [parameters]
+ */
 exports.Tool = {};
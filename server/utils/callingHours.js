@@ -0,0 +1,128 @@
+// Calling-hour windows for campaigns.
+// A window is a daily time range ("10:00" to "19:00") on a set of weekdays,
+// evaluated in the contact's local timezone. A range that ends before it starts
+// ("20:00" to "02:00") runs overnight into the next day; one that ends when it
+// starts covers the whole day.
+
+// Campaigns created before calling windows existed call at any time
+const UNRESTRICTED_CALLING_WINDOW = {
+    start: '00:00',
+    end: '00:00',
+    days: [1, 2, 3, 4, 5, 6, 7]
+};
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock date, time and weekday of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date. Corrects once for the
+ * offset at the result so DST transitions land on the right side.
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (timestamp) => {
+        const p = getZonedParts(new Date(timestamp), timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - timestamp;
+    };
+
+    let timestamp = wallClock - offsetAt(wallClock);
+    timestamp = wallClock - offsetAt(timestamp);
+    return new Date(timestamp);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Whether a contact can be called at this moment
+ * @param {Date} date
+ * @param {Object} window - { start: 'HH:MM', end: 'HH:MM', days: number[] }
+ * @param {string} timeZone - IANA timezone
+ */
+function isWithinCallingWindow(date, window, timeZone) {
+    const local = getZonedParts(date, timeZone);
+    const minutes = local.hour * 60 + local.minute;
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    if (start < end) {
+        return window.days.includes(local.weekday) && minutes >= start && minutes < end;
+    }
+    if (start === end || minutes >= start) {
+        return window.days.includes(local.weekday);
+    }
+    // After midnight in an overnight window that opened the day before
+    const previousDay = local.weekday === 1 ? 7 : local.weekday - 1;
+    return minutes < end && window.days.includes(previousDay);
+}
+
+/**
+ * The next moment a calling window opens, or null if the window never opens
+ */
+function nextCallingWindowStart(date, window, timeZone) {
+    if (window.days.length === 0) return null;
+
+    const local = getZonedParts(date, timeZone);
+    const startMinutes = toMinutes(window.start);
+
+    for (let offset = 0; offset <= 7; offset++) {
+        // Walk forward by calendar day in the contact's timezone
+        const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+        const weekday = day.getUTCDay() || 7;
+        if (!window.days.includes(weekday)) continue;
+
+        const opensAt = zonedTimeToDate(
+            day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+            Math.floor(startMinutes / 60), startMinutes % 60, timeZone
+        );
+        if (opensAt > date) return opensAt;
+    }
+
+    return null;
+}
+
+module.exports = {
+    UNRESTRICTED_CALLING_WINDOW,
+    isValidTimeZone,
+    isWithinCallingWindow,
+    nextCallingWindowStart
+};
@@ -0,0 +1,249 @@
+// Campaign contact import from CSV and Excel files.
+// Rows become contacts with an E.164 phone number; columns other than phone, name
+// and timezone are kept as custom fields in metadata.fields, which the agent
+// prompt can reference as {{variables}}.
+const path = require('path');
+
+const MAX_ROWS = 50000;
+
+// Header spellings recognised for the built-in columns (compared lowercased, without punctuation)
+const COLUMN_ALIASES = {
+    phone: ['phone', 'phonenumber', 'phoneno', 'mobile', 'mobilenumber', 'cell', 'cellphone', 'telephone', 'tel', 'number'],
+    name: ['name', 'fullname', 'contactname', 'contact'],
+    timezone: ['timezone', 'tz']
+};
+
+// Country calling codes and the national trunk prefix dropped when adding the code
+const COUNTRIES = {
+    US: { code: '1' }, CA: { code: '1' },
+    GB: { code: '44', trunk: '0' }, IE: { code: '353', trunk: '0' },
+    AU: { code: '61', trunk: '0' }, NZ: { code: '64', trunk: '0' },
+    IN: { code: '91', trunk: '0' }, PK: { code: '92', trunk: '0' }, BD: { code: '880', trunk: '0' },
+    DE: { code: '49', trunk: '0' }, FR: { code: '33', trunk: '0' }, NL: { code: '31', trunk: '0' },
+    BE: { code: '32', trunk: '0' }, CH: { code: '41', trunk: '0' }, AT: { code: '43', trunk: '0' },
+    SE: { code: '46', trunk: '0' }, NO: { code: '47' }, DK: { code: '45' }, PL: { code: '48' },
+    ES: { code: '34' }, PT: { code: '351' }, IT: { code: '39' },
+    TR: { code: '90', trunk: '0' }, RU: { code: '7', trunk: '8' }, IL: { code: '972', trunk: '0' },
+    AE: { code: '971', trunk: '0' }, SA: { code: '966', trunk: '0' }, EG: { code: '20', trunk: '0' },
+    ZA: { code: '27', trunk: '0' }, NG: { code: '234', trunk: '0' }, KE: { code: '254', trunk: '0' },
+    MX: { code: '52' }, BR: { code: '55', trunk: '0' }, AR: { code: '54', trunk: '0' },
+    SG: { code: '65' }, MY: { code: '60', trunk: '0' }, PH: { code: '63', trunk: '0' },
+    ID: { code: '62', trunk: '0' }, JP: { code: '81', trunk: '0' }, KR: { code: '82', trunk: '0' },
+    CN: { code: '86', trunk: '0' }, HK: { code: '852' }
+};
+
+/**
+ * Parse CSV text following RFC 4180: quoted fields may contain the delimiter,
+ * newlines and doubled quotes. The delimiter (comma, semicolon or tab) is
+ * detected from the header line.
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+
+    const headerLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: headerLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = '';
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function parseSpreadsheet(buffer) {
+    const XLSX = require('xlsx');
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) return [];
+
+    // raw: false returns cells as displayed, so long phone numbers don't turn into floats
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })
+        .map(row => row.map(value => String(value)))
+        .filter(row => row.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read an uploaded contact file into rows of strings, header row first
+ */
+function readContactFile(buffer, filename) {
+    const ext = path.extname(filename || '').toLowerCase();
+    if (ext === '.xlsx' || ext === '.xls') return parseSpreadsheet(buffer);
+    if (ext === '.csv' || ext === '.txt' || ext === '.tsv' || !ext) return parseCsv(buffer.toString('utf8'));
+    throw new Error(`Unsupported file type: ${ext}. Upload a CSV or Excel file.`);
+}
+
+/**
+ * Turn a column header into a variable name: "Account Balance" -> "account_balance"
+ */
+function toFieldKey(header) {
+    return String(header)
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Decide what each column holds. An explicit mapping ({ header: 'phone' | 'name' |
+ * 'timezone' | 'skip' | fieldKey }) wins; otherwise headers are matched against
+ * known aliases and everything else becomes a custom field.
+ */
+function mapColumns(headers, mapping = {}) {
+    const used = new Set();
+
+    return headers.map((header, index) => {
+        let target = mapping[header];
+
+        if (!target) {
+            const alias = header.toLowerCase().replace(/[^a-z]/g, '');
+            target = Object.keys(COLUMN_ALIASES).find(key => !used.has(key) && COLUMN_ALIASES[key].includes(alias));
+        }
+        if (!target) target = toFieldKey(header) || `column_${index + 1}`;
+        if (['phone', 'name', 'timezone'].includes(target)) used.add(target);
+
+        return { header, index, target };
+    });
+}
+
+/**
+ * Normalize a phone number to E.164 ("+14155550123"). Numbers without a country
+ * code get the default country's code, dropping its trunk prefix ("020..." in GB).
+ * @returns {{ phone: string }|{ error: string }}
+ */
+function normalizeToE164(raw, defaultCountry = null) {
+    const value = String(raw ?? '').trim().replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+    if (!value) return { error: 'Missing phone number' };
+    if (/[a-z]/i.test(value)) return { error: 'Phone number contains letters' };
+
+    let digits = value.replace(/\D/g, '');
+    const country = defaultCountry ? COUNTRIES[String(defaultCountry).toUpperCase()] : null;
+
+    if (value.startsWith('+')) {
+        // Already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (country) {
+        if (country.trunk && digits.startsWith(country.trunk)) {
+            digits = country.code + digits.slice(country.trunk.length);
+        } else if (!(digits.startsWith(country.code) && digits.length >= 11)) {
+            digits = country.code + digits;
+        }
+    } else {
+        return { error: 'Number has no country code and no default country is set' };
+    }
+
+    if (digits.length < 8 || digits.length > 15) {
+        return { error: 'Phone number has the wrong number of digits' };
+    }
+    if (digits.startsWith('1') && !/^1[2-9]\d{9}$/.test(digits)) {
+        return { error: 'Not a valid North American number' };
+    }
+
+    return { phone: `+${digits}` };
+}
+
+/**
+ * Build contacts from parsed rows. Rows that can't be imported are reported
+ * with their spreadsheet row number (the header is row 1).
+ * @returns {{ contacts: Array, errors: Array<{ row: number, phone: string, error: string }>, columns: Array }}
+ */
+function buildContacts(rows, { defaultCountry = null, mapping = {} } = {}) {
+    if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one contact');
+    }
+    if (rows.length - 1 > MAX_ROWS) {
+        throw new Error(`Files are limited to ${MAX_ROWS} contacts`);
+    }
+
+    const headers = rows[0].map(h => h.trim());
+    const columns = mapColumns(headers, mapping);
+    if (!columns.some(c => c.target === 'phone')) {
+        throw new Error('No phone column found. Name a column "phone" or map one to phone.');
+    }
+
+    const contacts = [];
+    const errors = [];
+
+    rows.slice(1).forEach((row, i) => {
+        const rowNumber = i + 2;
+        const contact = { rowNumber, phone_number: null, name: null, timezone: null, metadata: { fields: {} } };
+        let rawPhone = '';
+
+        for (const { index, target } of columns) {
+            const value = (row[index] ?? '').trim();
+            if (!value || target === 'skip') continue;
+
+            if (target === 'phone') rawPhone = value;
+            else if (target === 'name') contact.name = value;
+            else if (target === 'timezone') contact.timezone = value;
+            else contact.metadata.fields[target] = value;
+        }
+
+        // Fall back to first/last name columns for the contact name
+        const { first_name: firstName, last_name: lastName } = contact.metadata.fields;
+        if (!contact.name && (firstName || lastName)) {
+            contact.name = [firstName, lastName].filter(Boolean).join(' ');
+        }
+
+        const normalized = normalizeToE164(rawPhone, defaultCountry);
+        if (normalized.error) {
+            errors.push({ row: rowNumber, phone: rawPhone, error: normalized.error });
+            return;
+        }
+
+        contact.phone_number = normalized.phone;
+        contacts.push(contact);
+    });
+
+    return {
+        contacts,
+        errors,
+        columns: columns.map(({ header, target }) => ({ header, target }))
+    };
+}
+
+module.exports = {
+    COUNTRIES,
+    readContactFile,
+    parseCsv,
+    buildContacts,
+    normalizeToE164
+};
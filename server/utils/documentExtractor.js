@@ -0,0 +1,173 @@
+// Text extraction for knowledge base uploads (PDF, DOCX, HTML, Markdown, plain text).
+// Output is Markdown-flavoured plain text: headings are kept as "#" lines so the
+// knowledge base can chunk by section, and PDF pages are marked with "[Page N]" lines.
+const path = require('path');
+
+const FORMATS = {
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.html': 'html',
+    '.htm': 'html',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.csv': 'text'
+};
+
+const HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+    hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©', reg: '®'
+};
+
+function detectFormat(filename, mimetype = '') {
+    const ext = path.extname(filename || '').toLowerCase();
+    if (FORMATS[ext]) return FORMATS[ext];
+    if (mimetype === 'application/pdf') return 'pdf';
+    if (mimetype.includes('wordprocessingml')) return 'docx';
+    if (mimetype === 'text/html') return 'html';
+    if (mimetype === 'text/markdown') return 'markdown';
+    if (mimetype.startsWith('text/')) return 'text';
+    return null;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Convert HTML to text, turning <h1>-<h6> into Markdown headings and block
+ * elements into paragraph breaks
+ */
+function htmlToText(html) {
+    let text = html
+        .replace(/<(script|style|noscript|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '');
+
+    text = text.replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) =>
+        `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').trim()}\n\n`
+    );
+
+    text = text
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|section|article|ul|ol|table|tr|blockquote|pre)>/gi, '\n\n')
+        .replace(/<\/(td|th)>/gi, '\t')
+        .replace(/<[^>]+>/g, '');
+
+    return normalizeWhitespace(decodeEntities(text));
+}
+
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Record where each section starts, and which page it is on for PDFs
+ */
+function buildProvenance(text, format) {
+    const sections = [];
+    const pages = [];
+    let page = null;
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+        const pageMatch = line.match(/^\[Page (\d+)\]$/);
+        const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
+
+        if (pageMatch) {
+            page = Number(pageMatch[1]);
+            pages.push({ page, offset });
+        } else if (headingMatch) {
+            sections.push({
+                heading: headingMatch[2].trim(),
+                level: headingMatch[1].length,
+                page,
+                offset
+            });
+        }
+        offset += line.length + 1;
+    }
+
+    return { format, pageCount: pages.length || null, pages, sections };
+}
+
+async function extractPdf(buffer) {
+    const pdfParse = require('pdf-parse');
+    const pageTexts = [];
+
+    // Render each page separately so page boundaries survive extraction
+    await pdfParse(buffer, {
+        pagerender: async (pageData) => {
+            const content = await pageData.getTextContent();
+            let lastY = null;
+            let pageText = '';
+            for (const item of content.items) {
+                const y = item.transform[5];
+                pageText += (lastY !== null && Math.abs(y - lastY) > 1) ? `\n${item.str}` : item.str;
+                lastY = y;
+            }
+            pageTexts[pageData.pageIndex] = pageText;
+            return pageText;
+        }
+    });
+
+    return pageTexts
+        .map((pageText, i) => `[Page ${i + 1}]\n\n${normalizeWhitespace(pageText || '')}`)
+        .join('\n\n');
+}
+
+async function extractDocx(buffer) {
+    const mammoth = require('mammoth');
+    // Going through HTML keeps Word heading styles as <h1>..<h6>
+    const result = await mammoth.convertToHtml({ buffer });
+    return htmlToText(result.value);
+}
+
+/**
+ * Extract text from an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original file name, used to detect the format
+ * @param {string} [mimetype]
+ * @returns {Promise<{ text: string, format: string, provenance: Object }>}
+ */
+async function extractDocument(buffer, filename, mimetype = '') {
+    const format = detectFormat(filename, mimetype);
+    if (!format) {
+        throw new Error(`Unsupported file type: ${path.extname(filename) || mimetype || 'unknown'}`);
+    }
+
+    let text;
+    switch (format) {
+        case 'pdf':
+            text = await extractPdf(buffer);
+            break;
+        case 'docx':
+            text = await extractDocx(buffer);
+            break;
+        case 'html':
+            text = htmlToText(buffer.toString('utf8'));
+            break;
+        default:
+            text = normalizeWhitespace(buffer.toString('utf8'));
+    }
+
+    if (!text.replace(/\[Page \d+\]/g, '').trim()) {
+        throw new Error(format === 'pdf'
+            ? 'No text found. The PDF may be a scanned image without a text layer.'
+            : 'No text found in file');
+    }
+
+    return { text, format, provenance: buildProvenance(text, format) };
+}
+
+module.exports = { extractDocument, detectFormat, htmlToText };
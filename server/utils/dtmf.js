@@ -0,0 +1,74 @@
+// DTMF tone generation for Twilio media streams (µ-law, 8kHz mono)
+
+const SAMPLE_RATE = 8000;
+
+// Row/column frequency pairs for each keypad key
+const DTMF_FREQUENCIES = {
+    '1': [697, 1209], '2': [697, 1336], '3': [697, 1477], 'A': [697, 1633],
+    '4': [770, 1209], '5': [770, 1336], '6': [770, 1477], 'B': [770, 1633],
+    '7': [852, 1209], '8': [852, 1336], '9': [852, 1477], 'C': [852, 1633],
+    '*': [941, 1209], '0': [941, 1336], '#': [941, 1477], 'D': [941, 1633],
+};
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Encode a 16-bit linear PCM sample as G.711 µ-law
+ */
+function linearToMulaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Check that a string only contains dialable keys and 'w' pauses
+ */
+function isValidDtmf(digits) {
+    return typeof digits === 'string' && /^[0-9A-D*#w]+$/i.test(digits);
+}
+
+/**
+ * Render a digit string as µ-law audio. A 'w' inserts a half second pause,
+ * matching Twilio's sendDigits syntax.
+ * @param {string} digits - e.g. "1w234#"
+ * @returns {Buffer} µ-law 8kHz audio ready for sendAudioToTwilio
+ */
+function generateDtmfAudio(digits, { toneMs = 150, gapMs = 100, pauseMs = 500 } = {}) {
+    const samples = [];
+    const pushSilence = (ms) => {
+        for (let i = 0; i < (ms * SAMPLE_RATE) / 1000; i++) samples.push(0);
+    };
+
+    for (const key of digits.toUpperCase()) {
+        if (key === 'W') {
+            pushSilence(pauseMs);
+            continue;
+        }
+
+        const frequencies = DTMF_FREQUENCIES[key];
+        if (!frequencies) continue;
+
+        const [low, high] = frequencies;
+        const toneSamples = (toneMs * SAMPLE_RATE) / 1000;
+        for (let i = 0; i < toneSamples; i++) {
+            const t = i / SAMPLE_RATE;
+            // Two tones at half amplitude each so the sum stays within 16 bits
+            const value = 0.5 * Math.sin(2 * Math.PI * low * t) + 0.5 * Math.sin(2 * Math.PI * high * t);
+            samples.push(Math.round(value * 16000));
+        }
+        pushSilence(gapMs);
+    }
+
+    return Buffer.from(samples.map(linearToMulaw));
+}
+
+module.exports = { generateDtmfAudio, isValidDtmf };
@@ -0,0 +1,96 @@
+// Request bodies and response mapping for webhook tools.
+// Body templates are JSON with {{placeholders}} for the parameters the agent collected:
+// inside quotes a value is spliced into the string ("Hi {{name}}"), bare it becomes a JSON
+// value ({"age": {{age}}} -> {"age": 42}). Response fields are picked out with
+// JSONPath-style paths such as $.data.items[0].status.
+
+const PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}/;
+
+function lookup(variables, path) {
+    return path.split('.').reduce(
+        (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+        variables
+    );
+}
+
+/**
+ * Fill a JSON body template with collected values
+ * @returns {string}
+ */
+function renderJsonTemplate(template, variables) {
+    let output = '';
+    let inString = false;
+
+    for (let i = 0; i < template.length; i++) {
+        const char = template[i];
+
+        if (char === '{' && template[i + 1] === '{') {
+            const match = template.slice(i).match(PLACEHOLDER);
+            if (match) {
+                const value = lookup(variables, match[1]);
+                output += inString
+                    ? JSON.stringify(value === undefined || value === null ? '' : String(value)).slice(1, -1)
+                    : JSON.stringify(value === undefined ? null : value);
+                i += match[0].length - 1;
+                continue;
+            }
+        }
+
+        if (inString && char === '\\') {
+            output += char + (template[i + 1] ?? '');
+            i++;
+            continue;
+        }
+        if (char === '"') inString = !inString;
+        output += char;
+    }
+
+    return output;
+}
+
+/**
+ * Split "$.data.items[0]['first name']" into ['data', 'items', 0, 'first name']
+ */
+function parsePath(path) {
+    const tokens = [];
+    const pattern = /\.?([^.[\]]+)|\[(\d+|\*)\]|\[(['"])(.*?)\3\]/g;
+    const segment = String(path).trim().replace(/^\$/, '');
+    let match;
+
+    while ((match = pattern.exec(segment))) {
+        if (match[1] !== undefined) tokens.push(match[1]);
+        else if (match[2] !== undefined) tokens.push(match[2] === '*' ? '*' : Number(match[2]));
+        else tokens.push(match[4]);
+    }
+    return tokens;
+}
+
+/**
+ * Read a value from parsed JSON by path. A * segment collects the value from every
+ * element, so $.items[*].name returns an array of names.
+ */
+function getJsonPath(data, path) {
+    return parsePath(path).reduce((value, token) => {
+        if (value === null || value === undefined) return undefined;
+        if (token === '*') return Array.isArray(value) ? value : Object.values(value);
+        if (Array.isArray(value) && typeof token !== 'number') {
+            return value.map(item => (item !== null && typeof item === 'object' ? item[token] : undefined));
+        }
+        return typeof value === 'object' ? value[token] : undefined;
+    }, data);
+}
+
+/**
+ * Build { name: value } from a tool's responseFields ([{ name, path }])
+ */
+function mapResponseFields(data, fields) {
+    const mapped = {};
+    for (const field of fields) {
+        if (!field?.name || !field.path) continue;
+        const value = getJsonPath(data, field.path);
+        mapped[field.name] = value === undefined ? null : value;
+    }
+    return mapped;
+}
+
+module.exports = { renderJsonTemplate, getJsonPath, mapResponseFields };
@@ -0,0 +1,62 @@
+// Filler phrases spoken while an agent tool is running
+const { PreActionPhraseMode } = require('../types.js');
+
+// Used when neither the tool nor the agent defines any phrases
+const DEFAULT_PRE_ACTION_PHRASES = [
+    "Let me check",
+    "One sec",
+    "Let me see",
+    "Hold on",
+    "Checking now",
+    "One moment please"
+];
+
+/**
+ * Pick the phrase to say before running a tool.
+ * - disable: nothing is said
+ * - strict: one of the phrases, word for word
+ * - flexible: the LLM rewords one of the phrases to fit the conversation and its language
+ * @param {Object} tool - Tool definition from agent settings
+ * @param {Object} options
+ * @param {string[]} [options.agentPhrases] - Agent-level preActionPhrases, used when the tool has none
+ * @param {Object} [options.llmService] - Needed for flexible mode
+ * @param {Array} [options.context] - Conversation so far, used to match the caller's language
+ * @returns {Promise<string|null>}
+ */
+async function resolvePreActionPhrase(tool, { agentPhrases = [], llmService = null, context = [] } = {}) {
+    const mode = tool?.preActionPhrasesMode || PreActionPhraseMode.Flexible;
+    if (mode === PreActionPhraseMode.Disable) return null;
+
+    let phrases = (tool?.preActionPhrases || []).filter(Boolean);
+    if (phrases.length === 0) phrases = (agentPhrases || []).filter(Boolean);
+    if (phrases.length === 0) phrases = DEFAULT_PRE_ACTION_PHRASES;
+
+    const phrase = phrases[Math.floor(Math.random() * phrases.length)];
+    if (mode === PreActionPhraseMode.Strict || !llmService) return phrase;
+
+    try {
+        // Function calls and results carry no text the caller heard
+        const recentTurns = context.filter(message => message.role !== 'function').slice(-4)
+            .map(message => `${message.role === 'model' ? 'Agent' : 'Caller'}: ${message.parts.map(part => part.text || '').join('')}`)
+            .join('\n');
+
+        const response = await llmService.generateContent({
+            model: "models/gemini-2.5-flash",
+            contents: [{
+                role: 'user',
+                parts: [{ text: `Conversation so far:\n${recentTurns}\n\nExample phrases: ${phrases.join(' | ')}` }]
+            }],
+            config: {
+                systemInstruction: "You are a voice agent about to look something up or save information for the caller. Write one short filler phrase (under 10 words) in the same style as the example phrases, adapted to the conversation and in the caller's language. Reply with the phrase only."
+            }
+        });
+
+        const text = (response.text || '').trim().replace(/^["']|["']$/g, '');
+        return text || phrase;
+    } catch (err) {
+        console.error('⚠️ Error generating pre-action phrase:', err.message);
+        return phrase;
+    }
+}
+
+module.exports = { resolvePreActionPhrase, DEFAULT_PRE_ACTION_PHRASES };
@@ -0,0 +1,53 @@
+// {{variable}} templating for agent identities and greetings.
+// Placeholders name a path into the call's variables ({{contact.name}}, {{campaign.name}},
+// {{agent.timezone}}, {{contact.account_id}}) and may give a default after a pipe:
+// {{ contact.name | there }} or {{ contact.name | "there" }}.
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|\s*("[^"]*"|'[^']*'|[^}]*?))?\s*\}\}/g;
+
+// Longest value inserted for one placeholder; contact data is not trusted to be short
+const MAX_VALUE_LENGTH = 500;
+
+function lookup(variables, path) {
+    return path.split('.').reduce(
+        (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+        variables
+    );
+}
+
+/**
+ * Make a value safe to splice into a prompt: one line, no template braces (so a value
+ * can't smuggle in placeholders or a tool-call JSON object), and a bounded length
+ */
+function escapeValue(value) {
+    return String(value)
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_VALUE_LENGTH);
+}
+
+/**
+ * Render {{placeholders}} in text. A placeholder without a value uses its default,
+ * or renders empty; either way it is listed in missing.
+ * @returns {{ text: string, missing: Array<{ variable: string, fallback: string|null }> }}
+ */
+function renderTemplate(text, variables) {
+    const missing = [];
+    if (!text) return { text, missing };
+
+    const rendered = text.replace(PLACEHOLDER, (match, path, fallback) => {
+        const value = lookup(variables, path);
+        if (value !== undefined && value !== null && value !== '' && typeof value !== 'object') {
+            return escapeValue(value);
+        }
+
+        const defaultValue = fallback !== undefined ? fallback.trim().replace(/^(["'])(.*)\1$/, '$2') : null;
+        missing.push({ variable: path, fallback: defaultValue });
+        return defaultValue !== null ? escapeValue(defaultValue) : '';
+    });
+
+    return { text: rendered, missing };
+}
+
+module.exports = { renderTemplate, escapeValue };
@@ -0,0 +1,56 @@
+// Splits streamed LLM text into sentences so each one can be synthesized as soon as
+// it is complete, instead of waiting for the whole reply.
+
+// Words ending in "." that don't end a sentence
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'approx']);
+
+// Shorter fragments ("Sure.") are held and spoken together with the next sentence
+const MIN_SENTENCE_CHARS = 12;
+
+/**
+ * Create a chunker for one reply
+ * @returns {{ push: (text: string) => string[], flush: () => string }}
+ */
+function createSentenceChunker() {
+    let buffer = '';
+
+    return {
+        /**
+         * Add streamed text; returns the sentences it completed
+         */
+        push(text) {
+            buffer += text;
+
+            const sentences = [];
+            const boundary = /[.!?…]+["')\]]*\s+|\n+/g;
+            let start = 0;
+            let match;
+
+            while ((match = boundary.exec(buffer))) {
+                const end = match.index + match[0].length;
+                const lastWord = buffer.slice(start, match.index).split(/\s+/).pop().toLowerCase();
+                if (match[0].startsWith('.') && ABBREVIATIONS.has(lastWord)) continue;
+
+                const sentence = buffer.slice(start, end).trim();
+                if (sentence.length < MIN_SENTENCE_CHARS) continue;
+
+                sentences.push(sentence);
+                start = end;
+            }
+
+            buffer = buffer.slice(start);
+            return sentences;
+        },
+
+        /**
+         * Whatever is left once the stream has ended
+         */
+        flush() {
+            const rest = buffer.trim();
+            buffer = '';
+            return rest;
+        }
+    };
+}
+
+module.exports = { createSentenceChunker };
@@ -0,0 +1,57 @@
+// Timeouts for live conversations, read from the agent's settings (seconds, 0 disables):
+// sessionTimeoutFixedDuration caps the length of the call, sessionTimeoutNoVoiceActivity
+// ends it after that long without anyone speaking, and inactivityTimeout (with
+// inactivityHandling on) notices when the user has gone quiet.
+
+// How often silence is checked
+const SILENCE_CHECK_MS = 1000;
+
+/**
+ * Start the timers for a session. Silence is not counted while the agent is speaking
+ * or the call is already ending.
+ * @param {Object} session - Needs settings, startTime, lastUserSpeechTime, lastAgentSpeechTime,
+ *   isSpeaking and pendingHangup
+ * @param {Object} handlers
+ * @param {Function} handlers.onTimeout - (reason) called with 'fixed_duration' or 'no_voice_activity'
+ * @param {Function} handlers.onInactive - () called every check once the user has been silent for inactivityTimeout
+ */
+function startSessionTimers(session, { onTimeout, onInactive }) {
+    const fixedDuration = Number(session.settings.sessionTimeoutFixedDuration ?? 3600);
+    const noVoiceActivity = Number(session.settings.sessionTimeoutNoVoiceActivity ?? 300);
+    const inactivityTimeout = session.settings.inactivityHandling
+        ? Number(session.settings.inactivityTimeout ?? 10)
+        : 0;
+
+    if (fixedDuration > 0) {
+        session.fixedTimeoutTimer = setTimeout(() => {
+            onTimeout('fixed_duration');
+        }, fixedDuration * 1000);
+    }
+
+    if (noVoiceActivity > 0 || inactivityTimeout > 0) {
+        session.silenceCheckInterval = setInterval(() => {
+            if (session.isSpeaking || session.pendingHangup) return;
+
+            const lastActivity = Math.max(
+                session.lastUserSpeechTime || session.startTime.getTime(),
+                session.lastAgentSpeechTime || 0
+            );
+            const silentFor = Date.now() - lastActivity;
+
+            if (noVoiceActivity > 0 && silentFor >= noVoiceActivity * 1000) {
+                onTimeout('no_voice_activity');
+            } else if (inactivityTimeout > 0 && silentFor >= inactivityTimeout * 1000) {
+                onInactive();
+            }
+        }, SILENCE_CHECK_MS);
+    }
+}
+
+function clearSessionTimers(session) {
+    if (session.fixedTimeoutTimer) clearTimeout(session.fixedTimeoutTimer);
+    if (session.silenceCheckInterval) clearInterval(session.silenceCheckInterval);
+    session.fixedTimeoutTimer = null;
+    session.silenceCheckInterval = null;
+}
+
+module.exports = { startSessionTimers, clearSessionTimers };
@@ -0,0 +1,59 @@
+// Split a SQL migration file into statements for mysql2, which runs one at a time.
+// `--` and `#` line comments and `/* */` block comments are dropped, and a `;` only
+// ends a statement outside comments, quoted strings and backticked identifiers.
+
+/**
+ * @param {string} sql - Contents of a migration file
+ * @returns {string[]} - Trimmed, non-empty statements without the trailing `;`
+ */
+function splitSqlStatements(sql) {
+    const statements = [];
+    let current = '';
+    let quote = null; // ', " or ` while inside a quoted string or identifier
+    let i = 0;
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+
+        if (quote) {
+            current += char;
+            if (char === '\\' && quote !== '`' && i + 1 < sql.length) {
+                current += next;
+                i += 2;
+                continue;
+            }
+            if (char === quote) quote = null;
+            i++;
+            continue;
+        }
+
+        // MySQL needs whitespace after `--` for it to start a comment
+        if ((char === '-' && next === '-' && (i + 2 >= sql.length || /\s/.test(sql[i + 2]))) || char === '#') {
+            while (i < sql.length && sql[i] !== '\n') i++;
+            continue;
+        }
+        if (char === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            current += ' ';
+            continue;
+        }
+
+        if (char === "'" || char === '"' || char === '`') {
+            quote = char;
+        } else if (char === ';') {
+            statements.push(current);
+            current = '';
+            i++;
+            continue;
+        }
+        current += char;
+        i++;
+    }
+    statements.push(current);
+
+    return statements.map(statement => statement.trim()).filter(statement => statement.length > 0);
+}
+
+module.exports = { splitSqlStatements };
@@ -0,0 +1,82 @@
+// Outbound audio for Twilio media streams, shared by the phone call channels.
+// Sessions need ws, streamSid and playbackGeneration. Audio is µ-law 8kHz mono.
+
+// 160 bytes of µ-law = 20ms of audio
+const FRAME_BYTES = 160;
+const FRAME_MS = 20;
+
+/**
+ * Send one buffer as 20ms media frames in real time. Resolves once the last
+ * frame is out, or early if the call hangs up or the agent is interrupted.
+ */
+function sendMediaFrames(session, audioBuffer, generation) {
+    return new Promise((resolve) => {
+        const totalFrames = Math.ceil(audioBuffer.length / FRAME_BYTES);
+        let offset = 0;
+
+        console.log(`📤 Sending audio to Twilio: ${audioBuffer.length} bytes, ${totalFrames} chunks`);
+
+        const sendNextFrame = () => {
+            // The call hung up mid-sentence
+            if (session.ws.readyState !== session.ws.OPEN) {
+                resolve();
+                return;
+            }
+            // Interrupted: the line was already cleared
+            if (generation !== session.playbackGeneration) {
+                resolve();
+                return;
+            }
+
+            if (offset >= audioBuffer.length) {
+                // All frames sent, send mark
+                session.ws.send(JSON.stringify({
+                    event: "mark",
+                    streamSid: session.streamSid,
+                    mark: { name: "audio_complete" }
+                }));
+
+                console.log(`✅ Sent ${totalFrames} audio chunks to Twilio (streamSid: ${session.streamSid})`);
+                resolve();
+                return;
+            }
+
+            session.ws.send(JSON.stringify({
+                event: "media",
+                streamSid: session.streamSid,
+                media: { payload: audioBuffer.subarray(offset, offset + FRAME_BYTES).toString("base64") }
+            }));
+            offset += FRAME_BYTES;
+
+            setTimeout(sendNextFrame, FRAME_MS);
+        };
+
+        sendNextFrame();
+    });
+}
+
+/**
+ * Flush audio Twilio has buffered but not yet played
+ */
+function clearMedia(session) {
+    if (session.ws && session.streamSid) {
+        session.ws.send(JSON.stringify({ event: "clear", streamSid: session.streamSid }));
+    }
+}
+
+/**
+ * Send a few frames of silence. Twilio may drop a stream that gets no audio
+ * in its first seconds.
+ */
+function sendSilence(session, frames = 5) {
+    const payload = Buffer.alloc(FRAME_BYTES, 0xFF).toString("base64"); // µ-law silence
+    for (let i = 0; i < frames; i++) {
+        session.ws.send(JSON.stringify({
+            event: "media",
+            streamSid: session.streamSid,
+            media: { payload }
+        }));
+    }
+}
+
+module.exports = { sendMediaFrames, clearMedia, sendSilence };
@@ -0,0 +1,35 @@
+// Signature checks for webhooks Twilio posts to the server.
+// Requests are signed with TWILIO_AUTH_TOKEN over the public URL Twilio called.
+
+const twilio = require('twilio');
+
+/**
+ * Rebuild the URL Twilio requested. Behind a proxy the protocol and host come
+ * from the forwarded headers.
+ */
+function getWebhookUrl(req) {
+    const protocol = (req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim();
+    const host = (req.headers['x-forwarded-host'] || req.get('host')).split(',')[0].trim();
+    return `${protocol}://${host}${req.originalUrl}`;
+}
+
+/**
+ * Express middleware that rejects webhook requests without a valid X-Twilio-Signature
+ */
+function requireTwilioSignature(req, res, next) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) {
+        console.error('❌ TWILIO_AUTH_TOKEN not configured, cannot verify Twilio webhook');
+        return res.status(500).send('Twilio is not configured');
+    }
+
+    const signature = req.headers['x-twilio-signature'];
+    if (!signature || !twilio.validateRequest(authToken, signature, getWebhookUrl(req), req.body || {})) {
+        console.warn(`⚠️ Rejected Twilio webhook with invalid signature: ${req.originalUrl}`);
+        return res.status(403).send('Invalid signature');
+    }
+
+    next();
+}
+
+module.exports = { requireTwilioSignature };
@@ -278,4 +278,18 @@ export const AVAILABLE_LANGUAGES_BY_PROVIDER: { [key: string]: { id: string, nam
         { id: 'SPANISH', name: 'Spanish' },
         { id: 'FRENCH', name: 'French' },
     ],
-};
\ No newline at end of file
+};
+
+// Countries offered for phone numbers typed without a country code
+export const PHONE_COUNTRIES = [
+  { value: 'US', label: 'US / Canada (+1)' },
+  { value: 'GB', label: 'United Kingdom (+44)' },
+  { value: 'AU', label: 'Australia (+61)' },
+  { value: 'IN', label: 'India (+91)' },
+  { value: 'DE', label: 'Germany (+49)' },
+  { value: 'FR', label: 'France (+33)' },
+  { value: 'ES', label: 'Spain (+34)' },
+  { value: 'MX', label: 'Mexico (+52)' },
+  { value: 'BR', label: 'Brazil (+55)' },
+  { value: 'AE', label: 'UAE (+971)' }
+];
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { VoiceAgent, ToolType, PreActionPhraseMode, Tool, VoiceAgentSettings, ToolHeader, ToolParameter } from '../types';
+import { VoiceAgent, ToolType, PreActionPhraseMode, Tool, VoiceAgentSettings, ToolHeader, ToolParameter, ToolResponseField, WebhookAuthType, OutcomeField } from '../types';
 import {
     DocumentDuplicateIcon,
     EditIcon,
@@ -143,6 +143,7 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
         runAfterCall: false, preActionPhrasesMode: PreActionPhraseMode.Flexible, preActionPhrases: '', 
         parameters: [],
         headers: [],
+        responseFields: [],
     };
     const [newTool, setNewTool] = useState(initialNewToolState);
     const [newToolFunctionType, setNewToolFunctionType] = useState<'Webhook' | 'WebForm' | 'GoogleSheets'>('Webhook');
@@ -720,7 +721,28 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                             console.log('Received pong from server');
                                             return;
                                         }
-                                        
+
+                                        // The user talked over the agent: drop the audio that is still playing
+                                        if (data.event === 'stop-audio') {
+                                            audioSourcesRef.current.forEach(source => {
+                                                try {
+                                                    source.stop();
+                                                } catch (error) {
+                                                    console.error('Error stopping agent audio:', error);
+                                                }
+                                            });
+                                            audioSourcesRef.current.clear();
+                                            nextStartTimeRef.current = 0;
+                                            return;
+                                        }
+
+                                        // The agent hung up (endCall, timeout or Do-Not-Call request)
+                                        if (data.event === 'call-ended') {
+                                            console.log('Call ended by agent:', data.reason);
+                                            stopCall();
+                                            return;
+                                        }
+
                                         if (data.event === 'transcript' && data.text) {
                                             // Process the transcript through the conversation flow
                                             try {
@@ -1359,6 +1381,7 @@ When you need to collect information from the user, ask for the required paramet
             preActionPhrases: tool.preActionPhrases.join(', '),
             headers: tool.headers || [],
             parameters: tool.parameters || [],
+            responseFields: tool.responseFields || [],
         });
         setNewToolFunctionType(
             tool.type === ToolType.WebForm ? 'WebForm' : 
@@ -1374,6 +1397,18 @@ When you need to collect information from the user, ask for the required paramet
         } 
     };
 
+    // Post-call outcome fields, extracted from the transcript when a call ends
+    const updateOutcomeFields = (outcomeFields: OutcomeField[]) => {
+        const updatedAgent = { ...editedAgent, settings: { ...editedAgent.settings, outcomeFields } };
+        setEditedAgent(updatedAgent);
+        updateAgent(updatedAgent);
+    };
+    const handleAddOutcomeField = () => updateOutcomeFields([...(editedAgent.settings.outcomeFields || []), { name: '', type: 'string', description: '' }]);
+    const handleDeleteOutcomeField = (index: number) => updateOutcomeFields((editedAgent.settings.outcomeFields || []).filter((_, i) => i !== index));
+    const handleOutcomeFieldChange = (index: number, changes: Partial<OutcomeField>) => {
+        updateOutcomeFields((editedAgent.settings.outcomeFields || []).map((field, i) => i === index ? { ...field, ...changes } : field));
+    };
+
     // Tool Headers and Parameters handlers
     const handleAddHeader = () => setNewTool(prev => ({ ...prev, headers: [...(prev.headers || []), { key: '', value: '' }] }));
     const handleDeleteHeader = (index: number) => setNewTool(prev => ({ ...prev, headers: (prev.headers || []).filter((_, i) => i !== index) }));
@@ -1395,6 +1430,16 @@ When you need to collect information from the user, ask for the required paramet
         });
     };
 
+    // Values picked out of a webhook's response for the agent to speak
+    const handleAddResponseField = () => setNewTool(prev => ({ ...prev, responseFields: [...(prev.responseFields || []), { name: '', path: '' }] }));
+    const handleDeleteResponseField = (index: number) => setNewTool(prev => ({ ...prev, responseFields: (prev.responseFields || []).filter((_, i) => i !== index) }));
+    const handleResponseFieldChange = (index: number, field: keyof ToolResponseField, value: string) => {
+        setNewTool(prev => ({
+            ...prev,
+            responseFields: (prev.responseFields || []).map((responseField, i) => i === index ? { ...responseField, [field]: value } : responseField)
+        }));
+    };
+
     const handleSendMessage = async (e: React.FormEvent) => {
         e.preventDefault();
         const message = currentMessage.trim();
@@ -1772,6 +1817,7 @@ When you need to collect information from the user, ask for the required paramet
         const [loading, setLoading] = useState(false);
         const [error, setError] = useState<string | null>(null);
         const fileInputRef = useRef<HTMLInputElement>(null);
+        const [replaceDocId, setReplaceDocId] = useState<string | null>(null);
         
         const documentService = new DocumentService();
 
@@ -1848,16 +1894,20 @@ When you need to collect information from the user, ask for the required paramet
                     const files = Array.from(event.target.files) as File[];
                     
                     // Check if any file exceeds size limit
-                    const maxSize = 10 * 1024 * 1024; // 10MB
+                    const maxSize = 20 * 1024 * 1024; // 20MB
                     for (const file of files) {
                         if (file.size > maxSize) {
-                            throw new Error(`File "${file.name}" exceeds size limit of 10MB. Please choose a smaller file.`);
+                            throw new Error(`File "${file.name}" exceeds size limit of 20MB. Please choose a smaller file.`);
                         }
                     }
                     
+                    // A single file picked via "New version" replaces that document and keeps its ID
+                    const documentId = replaceDocId || undefined;
+                    setReplaceDocId(null);
+
                     // Upload each file
                     const uploadPromises = files.map(file => 
-                        documentService.uploadDocument(userId, file, agent.id)
+                        documentService.uploadDocument(userId, file, agent.id, documentId)
                     );
                     
                     const uploadedDocs = await Promise.all(uploadPromises);
@@ -1870,7 +1920,7 @@ When you need to collect information from the user, ask for the required paramet
                         uploadedDate: new Date(doc.uploadedAt).toISOString().split('T')[0]
                     }));
                     
-                    setAvailableDocs(prev => [...prev, ...newDocs]);
+                    setAvailableDocs(prev => [...prev.filter(d => !newDocs.some(n => n.id === d.id)), ...newDocs]);
                     
                     // Clear the input value to allow uploading the same file again
                     event.target.value = '';
@@ -1887,6 +1937,14 @@ When you need to collect information from the user, ask for the required paramet
         };
         
         const handleUploadClick = () => {
+            setReplaceDocId(null);
+            if (fileInputRef.current) fileInputRef.current.multiple = true;
+            fileInputRef.current?.click();
+        };
+
+        const handleUploadVersionClick = (docId: string) => {
+            setReplaceDocId(docId);
+            if (fileInputRef.current) fileInputRef.current.multiple = false;
             fileInputRef.current?.click();
         };
 
@@ -1924,7 +1982,7 @@ When you need to collect information from the user, ask for the required paramet
                         onChange={handleFileChange}
                         className="hidden"
                         multiple
-                        accept=".pdf,.doc,.docx,.txt,.md,.csv"
+                        accept=".pdf,.docx,.html,.htm,.txt,.md,.csv"
                     />
                     <div className="px-8 py-5">
                         <h2 className="text-2xl font-semibold">Update Agent Knowledge</h2>
@@ -1964,7 +2022,10 @@ When you need to collect information from the user, ask for the required paramet
                                                             <DocumentTextIcon className="h-6 w-6 text-slate-400" />
                                                             <span className="font-medium">{doc.name}</span>
                                                         </div>
-                                                        <button onClick={() => handleRemoveDoc(doc.id)} className="text-slate-400 hover:text-white"><XMarkIcon className="h-5 w-5"/></button>
+                                                        <div className="flex items-center gap-3">
+                                                            <button onClick={() => handleUploadVersionClick(doc.id)} className="text-slate-400 hover:text-white text-sm">New version</button>
+                                                            <button onClick={() => handleRemoveDoc(doc.id)} className="text-slate-400 hover:text-white"><XMarkIcon className="h-5 w-5"/></button>
+                                                        </div>
                                                     </div>
                                                 ))}
                                             </div>
@@ -2073,18 +2134,52 @@ When you need to collect information from the user, ask for the required paramet
                                 </div>
                                  <div>
                                     <label className="block text-sm font-medium mb-1">Method:</label>
-                                    <div className="flex bg-[#243140] p-1 rounded-md w-32">
-                                        {[{ value: 'GET', label: 'GET' }, { value: 'POST', label: 'POST' }].map((method) => (
+                                    <div className="flex bg-[#243140] p-1 rounded-md w-80">
+                                        {(['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] as const).map((method) => (
                                             <button 
-                                                key={method.value}
-                                                onClick={() => setNewTool(p => ({...p, method: method.value}))} 
-                                                className={`flex-1 py-1 rounded text-sm ${newTool.method === method.value ? 'bg-emerald-600' : ''}`}
+                                                key={method}
+                                                onClick={() => setNewTool(p => ({...p, method}))} 
+                                                className={`flex-1 py-1 rounded text-sm ${newTool.method === method ? 'bg-emerald-600' : ''}`}
                                             >
-                                                {method.label}
+                                                {method}
                                             </button>
                                         ))}
                                     </div>
                                 </div>
+                                <div className="grid grid-cols-[1fr_2fr] gap-x-4">
+                                    <div>
+                                        <label className="block text-sm font-medium mb-1">Authentication</label>
+                                        <select value={newTool.auth?.type || 'none'} onChange={e => setNewTool(p => ({ ...p, auth: { ...p.auth, type: e.target.value as WebhookAuthType } }))} className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm focus:ring-emerald-500 focus:border-emerald-500">
+                                            <option value="none">None</option>
+                                            <option value="bearer">Bearer token</option>
+                                            <option value="hmac">HMAC signature</option>
+                                        </select>
+                                    </div>
+                                    {newTool.auth?.type === 'bearer' && (
+                                        <div>
+                                            <label className="block text-sm font-medium mb-1">Token</label>
+                                            <input type="password" value={newTool.auth.token || ''} onChange={e => setNewTool(p => ({ ...p, auth: { type: 'bearer', token: e.target.value } }))} className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm focus:ring-emerald-500 focus:border-emerald-500"/>
+                                        </div>
+                                    )}
+                                    {newTool.auth?.type === 'hmac' && (
+                                        <div>
+                                            <label className="block text-sm font-medium mb-1">Signing Secret</label>
+                                            <input type="password" value={newTool.auth.secret || ''} onChange={e => setNewTool(p => ({ ...p, auth: { type: 'hmac', secret: e.target.value } }))} className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm focus:ring-emerald-500 focus:border-emerald-500"/>
+                                            <p className="text-xs text-gray-400 mt-1">Requests carry X-Ziya-Timestamp and X-Ziya-Signature (sha256 HMAC of "timestamp.body").</p>
+                                        </div>
+                                    )}
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Timeout (seconds)</label>
+                                    <input type="number" min="1" max="30" value={newTool.timeoutSeconds ?? 10} onChange={e => setNewTool(p => ({ ...p, timeoutSeconds: Number(e.target.value) }))} className="w-24 bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm focus:ring-emerald-500 focus:border-emerald-500"/>
+                                </div>
+                                {newTool.method !== 'GET' && newTool.method !== 'DELETE' && (
+                                    <div>
+                                        <label className="block text-sm font-medium mb-1">Body Template</label>
+                                        <textarea value={newTool.bodyTemplate || ''} onChange={e => setNewTool(p => ({ ...p, bodyTemplate: e.target.value }))} rows={4} placeholder={'{"name": "{{name}}", "guests": {{guests}}}'} className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm font-mono focus:ring-emerald-500 focus:border-emerald-500"></textarea>
+                                        <p className="text-xs text-gray-400 mt-1">{'Use {{parameter}} for collected values. Leave empty to send all parameters as JSON. GET and DELETE send them as query parameters.'}</p>
+                                    </div>
+                                )}
                             </div>
                             
                             <div className="bg-[#243140] p-3 rounded-md">
@@ -2156,6 +2251,34 @@ When you need to collect information from the user, ask for the required paramet
                                     </div>
                                 )}
                             </div>
+
+                            {/* Response Fields Section */}
+                            <div className="space-y-4">
+                                <div className="flex items-center">
+                                    <div className="flex-grow border-t border-gray-700"></div>
+                                    <button type="button" onClick={handleAddResponseField} className="mx-4 text-emerald-500 font-semibold text-sm">Add Response Field</button>
+                                    <div className="flex-grow border-t border-gray-700"></div>
+                                </div>
+                                {(newTool.responseFields || []).length > 0 && (
+                                    <div className="space-y-3">
+                                        <p className="text-sm text-gray-400">The agent tells the caller these values from the webhook's JSON response.</p>
+                                        <div className="grid grid-cols-[1fr_2fr_auto] gap-x-4 items-center">
+                                            <label className="text-sm font-medium text-gray-300">Name</label>
+                                            <label className="text-sm font-medium text-gray-300">Path</label>
+                                            <div></div>
+                                        </div>
+                                        {(newTool.responseFields || []).map((responseField, index) => (
+                                            <div key={index} className="grid grid-cols-[1fr_2fr_auto] gap-x-4 items-center">
+                                                <input type="text" value={responseField.name} onChange={e => handleResponseFieldChange(index, 'name', e.target.value)} placeholder="order_status" className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm focus:ring-emerald-500 focus:border-emerald-500"/>
+                                                <input type="text" value={responseField.path} onChange={e => handleResponseFieldChange(index, 'path', e.target.value)} placeholder="$.data.status" className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm font-mono focus:ring-emerald-500 focus:border-emerald-500"/>
+                                                <button type="button" onClick={() => handleDeleteResponseField(index)} className="text-red-500 hover:text-red-400 p-1">
+                                                    <TrashIcon className="w-5 h-5" />
+                                                </button>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
                         </>
                     )}
 
@@ -2433,7 +2556,12 @@ When you need to collect information from the user, ask for the required paramet
                         </div>
                         <div className="p-6">
                             {isEditingPrompt ? (
-                                <textarea name="identity" value={editedAgent.identity} onChange={handleSettingsChange} className="w-full h-64 p-3 font-mono text-sm bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:ring-primary focus:border-primary" />
+                                <>
+                                    <textarea name="identity" value={editedAgent.identity} onChange={handleSettingsChange} className="w-full h-64 p-3 font-mono text-sm bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:ring-primary focus:border-primary" />
+                                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                                        Campaign calls fill in {'{{contact.name}}'}, {'{{contact.phone_number}}'}, {'{{campaign.name}}'}, {'{{agent.timezone}}'} and imported columns such as {'{{contact.account_id}}'}. Add a default after a pipe: {'{{contact.name | there}}'}.
+                                    </p>
+                                </>
                             ) : (
                                 <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-600 dark:text-slate-300">{editedAgent.identity}</p>
                             )}
@@ -2444,14 +2572,62 @@ When you need to collect information from the user, ask for the required paramet
                         <SettingsToggle label="User starts first" description="Agent will wait for user to start first." name="settings.userStartsFirst" checked={editedAgent.settings.userStartsFirst} onChange={handleSettingsChange} />
                         <div>
                             <label htmlFor="greetingLine" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Greeting Line</label>
-                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Set the first message the agent says to start the conversation. Leave blank to disable.</p>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Set the first message the agent says to start the conversation. Leave blank to disable. Supports the same {'{{variables}}'} as the prompt.</p>
                             <input type="text" id="greetingLine" name="settings.greetingLine" value={editedAgent.settings.greetingLine} onChange={handleSettingsChange} className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
                         </div>
                         <SettingsToggle label="Response Delay" description="Set a fixed delay before the agent processes user input and responds." name="settings.responseDelay" checked={editedAgent.settings.responseDelay} onChange={handleSettingsChange} />
                         <SettingsToggle label="Inactivity Handling" description="Configure the agent to prompt the user after a period of inactivity, ensuring the user is still engaged." name="settings.inactivityHandling" checked={editedAgent.settings.inactivityHandling} onChange={handleSettingsChange} />
+                        {editedAgent.settings.inactivityHandling && (
+                            <div className="space-y-4">
+                                <div>
+                                    <label htmlFor="inactivityPrompt" className="text-sm text-slate-600 dark:text-slate-300">Prompt the agent says after a period of silence</label>
+                                    <input type="text" id="inactivityPrompt" name="settings.inactivityPrompt" value={editedAgent.settings.inactivityPrompt ?? 'Are you still there?'} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" />
+                                </div>
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label htmlFor="inactivityTimeout" className="text-sm text-slate-600 dark:text-slate-300">Silence before prompting (seconds)</label>
+                                        <input type="number" id="inactivityTimeout" name="settings.inactivityTimeout" value={editedAgent.settings.inactivityTimeout ?? 10} onChange={handleSettingsChange} min="1" max="300" className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" />
+                                    </div>
+                                    <div>
+                                        <label htmlFor="inactivityMaxPrompts" className="text-sm text-slate-600 dark:text-slate-300">Prompts before hanging up</label>
+                                        <input type="number" id="inactivityMaxPrompts" name="settings.inactivityMaxPrompts" value={editedAgent.settings.inactivityMaxPrompts ?? 2} onChange={handleSettingsChange} min="0" max="10" className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" />
+                                    </div>
+                                </div>
+                            </div>
+                        )}
                         <SettingsToggle label="Agent can terminate call" description="Agent will be able to decide to terminate the call by itself." name="settings.agentCanTerminateCall" checked={editedAgent.settings.agentCanTerminateCall} onChange={handleSettingsChange} isBeta />
                         <SettingsToggle label="Voicemail Detection" description="Agent will be able to detect voicemail and handle it." name="settings.voicemailDetection" checked={editedAgent.settings.voicemailDetection} onChange={handleSettingsChange} isBeta warning="The feature only works with Twilio and Plivo providers." />
+                        {editedAgent.settings.voicemailDetection && (
+                            <div className="space-y-4">
+                                <div>
+                                    <label htmlFor="voicemailAction" className="text-sm text-slate-600 dark:text-slate-300">When a voicemail answers</label>
+                                    <select id="voicemailAction" name="settings.voicemailAction" value={editedAgent.settings.voicemailAction || 'hangup'} onChange={handleSettingsChange} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
+                                        <option value="hangup">Hang up</option>
+                                        <option value="leave_message">Leave a message</option>
+                                        <option value="retry">Hang up and retry later</option>
+                                    </select>
+                                </div>
+                                {editedAgent.settings.voicemailAction === 'leave_message' && (
+                                    <div>
+                                        <label htmlFor="voicemailMessage" className="text-sm text-slate-600 dark:text-slate-300">Voicemail message</label>
+                                        <input type="text" id="voicemailMessage" name="settings.voicemailMessage" value={editedAgent.settings.voicemailMessage || ''} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" />
+                                    </div>
+                                )}
+                            </div>
+                        )}
                         <SettingsToggle label="Call Transfer" description="Agent will be able to transfer calls to human agents." name="settings.callTransfer" checked={editedAgent.settings.callTransfer} onChange={handleSettingsChange} isBeta />
+                        {editedAgent.settings.callTransfer && (
+                            <div className="space-y-4">
+                                <div>
+                                    <label htmlFor="transferNumber" className="text-sm text-slate-600 dark:text-slate-300">Transfer to (phone number or SIP address)</label>
+                                    <input type="text" id="transferNumber" name="settings.transferNumber" value={editedAgent.settings.transferNumber || ''} onChange={handleSettingsChange} placeholder="+15551234567 or sip:support@example.com" className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" />
+                                </div>
+                                <div>
+                                    <label htmlFor="transferMessage" className="text-sm text-slate-600 dark:text-slate-300">Message the agent says before transferring</label>
+                                    <input type="text" id="transferMessage" name="settings.transferMessage" value={editedAgent.settings.transferMessage || ''} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" />
+                                </div>
+                            </div>
+                        )}
                         <SettingsToggle label="DTMF Dial" description="Agent will be able to dial dtmf tones to navigate through IVR, voicemail systems, etc." name="settings.dtmfDial" checked={editedAgent.settings.dtmfDial} onChange={handleSettingsChange} isBeta />
                     </SettingsCard>
 
@@ -2668,6 +2844,36 @@ When you need to collect information from the user, ask for the required paramet
                                 <label htmlFor="endOfCallWebhook" className="text-sm font-medium">End-of-Call Webhook</label>
                                 <input type="text" id="endOfCallWebhook" name="settings.endOfCallWebhook" value={editedAgent.settings.endOfCallWebhook} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
                             </div>
+                            <div>
+                                <label htmlFor="webhookSecret" className="text-sm font-medium">Webhook Signing Secret</label>
+                                <input type="password" id="webhookSecret" name="settings.webhookSecret" value={editedAgent.settings.webhookSecret || ''} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
+                                <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Requests are signed with an HMAC-SHA256 of "timestamp.body" in the X-Ziya-Signature header.</p>
+                            </div>
+                        </div>
+
+                        <div className="bg-white dark:bg-darkbg-light rounded-lg shadow-sm p-4 space-y-3">
+                            <h3 className="font-semibold flex items-center gap-2"><DocumentTextIcon className="h-5 w-5 text-slate-500"/> Call Outcomes</h3>
+                            <p className="text-xs text-slate-500 dark:text-slate-400">After each call the transcript is reviewed for these fields and a disposition (converted, not interested, callback, wrong number). Results are saved on the call and the campaign contact.</p>
+                            {(editedAgent.settings.outcomeFields || []).map((field, index) => (
+                                <div key={index} className="p-2 rounded-md border border-slate-200 dark:border-slate-700 space-y-2">
+                                    <div className="flex items-center gap-2">
+                                        <input type="text" placeholder="callback_time" value={field.name} onChange={(e) => handleOutcomeFieldChange(index, { name: e.target.value.replace(/[^A-Za-z0-9_]/g, '_') })} className="flex-1 px-2 py-1 text-sm bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
+                                        <select value={field.type} onChange={(e) => handleOutcomeFieldChange(index, { type: e.target.value as OutcomeField['type'] })} className="px-2 py-1 text-sm bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md">
+                                            <option value="string">Text</option>
+                                            <option value="boolean">Yes / No</option>
+                                            <option value="number">Number</option>
+                                            <option value="datetime">Date & time</option>
+                                            <option value="enum">One of</option>
+                                        </select>
+                                        <button type="button" onClick={() => handleDeleteOutcomeField(index)} className="p-1 rounded-md hover:bg-slate-100 dark:hover:bg-slate-600 text-red-500"><TrashIcon className="h-4 w-4" /></button>
+                                    </div>
+                                    <input type="text" placeholder="When the caller asked to be called back" value={field.description} onChange={(e) => handleOutcomeFieldChange(index, { description: e.target.value })} className="w-full px-2 py-1 text-sm bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
+                                    {field.type === 'enum' && (
+                                        <input type="text" placeholder="Options, comma separated" defaultValue={(field.options || []).join(', ')} onBlur={(e) => handleOutcomeFieldChange(index, { options: e.target.value.split(',').map(o => o.trim()).filter(Boolean) })} className="w-full px-2 py-1 text-sm bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
+                                    )}
+                                </div>
+                            ))}
+                            <button type="button" onClick={handleAddOutcomeField} className="w-full text-sm font-semibold py-2 px-4 rounded-lg border border-slate-300 dark:border-slate-600 hover:bg-slate-100 dark:hover:bg-slate-700">+ Add Outcome Field</button>
                         </div>
                     </div>
                 </div>
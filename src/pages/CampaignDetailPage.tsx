@@ -1,9 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Campaign, CampaignRecord, CampaignStatus } from '../types';
+import { Campaign, CampaignCallerPool, CampaignImportReport, CampaignRecord, CampaignStatus, CampaignRetryPolicy, CampaignSchedule, RetryableCallStatus } from '../types';
 import { useAuth } from '../contexts/AuthContext';
-import { parseCSV } from '../utils/csvParser';
 import * as campaignApi from '../utils/api';
+import { PHONE_COUNTRIES } from '../constants';
 
 const CampaignDetailPage: React.FC = () => {
   const { id } = useParams<{ id: string }>();
@@ -23,8 +23,46 @@ const CampaignDetailPage: React.FC = () => {
   const [selectedAgentId, setSelectedAgentId] = useState('');
   const [agents, setAgents] = useState([]);
   const [googleSheetUrl, setGoogleSheetUrl] = useState('');
+  const [retryPolicy, setRetryPolicy] = useState<CampaignRetryPolicy>({ maxAttempts: 1, retryDelayMinutes: 60, retryStatuses: ['busy', 'no-answer'] });
+  const [isSavingRetryPolicy, setIsSavingRetryPolicy] = useState(false);
+  const [maxConcurrentCalls, setMaxConcurrentCalls] = useState(1);
+  const [isSavingConcurrency, setIsSavingConcurrency] = useState(false);
+  const [callerPool, setCallerPool] = useState<CampaignCallerPool>({ numbers: [], rotation: 'round_robin', localPresence: true });
+  const [isSavingCallerPool, setIsSavingCallerPool] = useState(false);
+  const [schedule, setSchedule] = useState<CampaignSchedule>({ startAt: null, endAt: null, window: { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5] }, timezone: null });
+  const [isSavingSchedule, setIsSavingSchedule] = useState(false);
+  const [importCountry, setImportCountry] = useState('US');
+  const [importReport, setImportReport] = useState<CampaignImportReport | null>(null);
   const recordsPerPage = 10;
 
+  const retryableStatuses: { value: RetryableCallStatus; label: string }[] = [
+    { value: 'busy', label: 'Busy' },
+    { value: 'no-answer', label: 'No answer' },
+    { value: 'failed', label: 'Failed' },
+    { value: 'canceled', label: 'Canceled' },
+    { value: 'voicemail', label: 'Voicemail' }
+  ];
+
+  const weekdays = [
+    { value: 1, label: 'Mon' },
+    { value: 2, label: 'Tue' },
+    { value: 3, label: 'Wed' },
+    { value: 4, label: 'Thu' },
+    { value: 5, label: 'Fri' },
+    { value: 6, label: 'Sat' },
+    { value: 7, label: 'Sun' }
+  ];
+
+  const timezones = ['UTC', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'Europe/London',
+    'Europe/Paris', 'Europe/Berlin', 'Asia/Tokyo', 'Asia/Shanghai', 'Asia/Dubai', 'Australia/Sydney'];
+
+  // <input type="datetime-local"> works in the browser's local time without a zone suffix
+  const toLocalInputValue = (iso: string | null) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  };
+
   // Fetch campaign data
   useEffect(() => {
     const fetchCampaignData = async () => {
@@ -47,6 +85,18 @@ const CampaignDetailPage: React.FC = () => {
         setTotalRecords(result.data.records.length);
         setCallerPhone(result.data.campaign.callerPhone || '');
         setIncludeMetadata(result.data.campaign.includeMetadata !== false);
+        if (result.data.retryPolicy) {
+          setRetryPolicy(result.data.retryPolicy);
+        }
+        if (result.data.schedule) {
+          setSchedule(result.data.schedule);
+        }
+        if (result.data.maxConcurrentCalls) {
+          setMaxConcurrentCalls(result.data.maxConcurrentCalls);
+        }
+        if (result.data.callerPool) {
+          setCallerPool(result.data.callerPool);
+        }
       } catch (err: any) {
         setError(err.message || 'Failed to load campaign data');
         console.error(err);
@@ -112,30 +162,29 @@ const CampaignDetailPage: React.FC = () => {
     if (!file) return;
 
     try {
-      const text = await file.text();
-      const parsedData = parseCSV(text);
-      
       if (!id || !user?.id) {
         throw new Error('Missing campaign ID or user ID');
       }
       
-      const result = await campaignApi.importRecords(id, user.id, parsedData);
+      const result = await campaignApi.importRecords(id, user.id, file, importCountry);
       
       if (!result.success) {
-        throw new Error(result.message || 'Failed to import CSV');
+        throw new Error(result.message || 'Failed to import contacts');
       }
       
+      setImportReport(result.data);
+      
       // Refresh campaign data
       await fetchCampaignDataSilently();
       
       // Show success message
       alert(result.message);
-      
-      // Reset file input
-      event.target.value = '';
     } catch (err: any) {
-      console.error('Failed to import CSV', err);
-      alert(`Failed to import CSV file: ${err.message}`);
+      console.error('Failed to import contacts', err);
+      alert(`Failed to import contacts: ${err.message}`);
+    } finally {
+      // Reset file input so the same file can be picked again
+      event.target.value = '';
     }
   };
 
@@ -241,6 +290,122 @@ const CampaignDetailPage: React.FC = () => {
     }
   };
 
+  const handleUpdateCallerNumber = (numberId: string, changes: Partial<CampaignCallerPool['numbers'][number]>) => {
+    setCallerPool(prev => ({
+      ...prev,
+      numbers: prev.numbers.map(n => (n.id === numberId ? { ...n, ...changes } : n))
+    }));
+  };
+
+  const handleSaveCallerPool = async () => {
+    try {
+      if (!id || !user?.id) {
+        throw new Error('Missing campaign ID or user ID');
+      }
+
+      setIsSavingCallerPool(true);
+      const result = await campaignApi.updateCallerPool(id, user.id, callerPool);
+
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to save caller numbers');
+      }
+
+      setCallerPool(result.data);
+    } catch (err: any) {
+      console.error('Failed to save caller numbers', err);
+      alert(`Failed to save caller numbers: ${err.message}`);
+    } finally {
+      setIsSavingCallerPool(false);
+    }
+  };
+
+  const handleSaveConcurrency = async () => {
+    try {
+      if (!id || !user?.id) {
+        throw new Error('Missing campaign ID or user ID');
+      }
+
+      setIsSavingConcurrency(true);
+      const result = await campaignApi.updateCampaignConcurrency(id, user.id, maxConcurrentCalls);
+
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to save simultaneous calls');
+      }
+
+      setMaxConcurrentCalls(result.data.maxConcurrentCalls);
+    } catch (err: any) {
+      console.error('Failed to save simultaneous calls', err);
+      alert(`Failed to save simultaneous calls: ${err.message}`);
+    } finally {
+      setIsSavingConcurrency(false);
+    }
+  };
+
+  const handleToggleRetryStatus = (status: RetryableCallStatus) => {
+    setRetryPolicy(prev => ({
+      ...prev,
+      retryStatuses: prev.retryStatuses.includes(status)
+        ? prev.retryStatuses.filter(s => s !== status)
+        : [...prev.retryStatuses, status]
+    }));
+  };
+
+  const handleSaveRetryPolicy = async () => {
+    try {
+      if (!id || !user?.id) {
+        throw new Error('Missing campaign ID or user ID');
+      }
+
+      setIsSavingRetryPolicy(true);
+      const result = await campaignApi.updateRetryPolicy(id, user.id, retryPolicy);
+
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to save retry rules');
+      }
+
+      setRetryPolicy(result.data);
+    } catch (err: any) {
+      console.error('Failed to save retry rules', err);
+      alert(`Failed to save retry rules: ${err.message}`);
+    } finally {
+      setIsSavingRetryPolicy(false);
+    }
+  };
+
+  const handleToggleCallingDay = (day: number) => {
+    setSchedule(prev => ({
+      ...prev,
+      window: {
+        ...prev.window,
+        days: prev.window.days.includes(day)
+          ? prev.window.days.filter(d => d !== day)
+          : [...prev.window.days, day].sort()
+      }
+    }));
+  };
+
+  const handleSaveSchedule = async () => {
+    try {
+      if (!id || !user?.id) {
+        throw new Error('Missing campaign ID or user ID');
+      }
+
+      setIsSavingSchedule(true);
+      const result = await campaignApi.updateCampaignSchedule(id, user.id, schedule);
+
+      if (!result.success) {
+        throw new Error(result.message || 'Failed to save schedule');
+      }
+
+      setSchedule(result.data);
+    } catch (err: any) {
+      console.error('Failed to save schedule', err);
+      alert(`Failed to save schedule: ${err.message}`);
+    } finally {
+      setIsSavingSchedule(false);
+    }
+  };
+
   const handleFileUploadClick = () => {
     document.getElementById('csv-upload')?.click();
   };
@@ -270,7 +435,14 @@ const CampaignDetailPage: React.FC = () => {
       case 'in-progress':
         return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300';
       case 'failed':
+      case 'busy':
+      case 'no-answer':
+      case 'canceled':
         return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300';
+      case 'voicemail':
+        return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300';
+      case 'dnc':
+        return 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300';
       default:
         return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300';
     }
@@ -283,7 +455,14 @@ const CampaignDetailPage: React.FC = () => {
       case 'in-progress':
         return 'bg-blue-500';
       case 'failed':
+      case 'busy':
+      case 'no-answer':
+      case 'canceled':
         return 'bg-red-500';
+      case 'voicemail':
+        return 'bg-yellow-500';
+      case 'dnc':
+        return 'bg-orange-500';
       default:
         return 'bg-gray-500';
     }
@@ -375,10 +554,20 @@ const CampaignDetailPage: React.FC = () => {
             <input
               id="csv-upload"
               type="file"
-              accept=".csv"
+              accept=".csv,.xlsx,.xls"
               className="hidden"
               onChange={handleImportCSV}
             />
+            <select
+              value={importCountry}
+              onChange={(e) => setImportCountry(e.target.value)}
+              title="Country for numbers without a country code"
+              className="bg-[#0F172A] border border-gray-700 rounded-lg px-3 py-2 text-sm"
+            >
+              {PHONE_COUNTRIES.map(country => (
+                <option key={country.value} value={country.value}>{country.label}</option>
+              ))}
+            </select>
             
             <button
               onClick={() => setIsAddRecordModalOpen(true)}
@@ -424,6 +613,51 @@ const CampaignDetailPage: React.FC = () => {
           </div>
         </div>
         
+        {importReport && (
+          <div className="mt-6 pt-6 border-t border-gray-700">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-medium">Last Import</h3>
+              <button onClick={() => setImportReport(null)} className="text-sm text-gray-400 hover:text-white">
+                Dismiss
+              </button>
+            </div>
+            <p className="text-sm text-gray-300">
+              {importReport.imported} contacts imported, {importReport.skipped} rows skipped.
+            </p>
+            {importReport.columns.some(c => !['phone', 'name', 'timezone', 'skip'].includes(c.target)) && (
+              <p className="text-xs text-gray-400 mt-2">
+                Available in the agent prompt as{' '}
+                {importReport.columns
+                  .filter(c => !['phone', 'name', 'timezone', 'skip'].includes(c.target))
+                  .map(c => `{{contact.${c.target}}}`)
+                  .join(', ')}
+              </p>
+            )}
+            {importReport.errors.length > 0 && (
+              <div className="mt-3 max-h-48 overflow-y-auto border border-gray-700 rounded-md">
+                <table className="min-w-full text-xs">
+                  <thead className="bg-[#0F172A] text-gray-400">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium">Row</th>
+                      <th className="px-3 py-2 text-left font-medium">Phone</th>
+                      <th className="px-3 py-2 text-left font-medium">Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700">
+                    {importReport.errors.map(rowError => (
+                      <tr key={`${rowError.row}-${rowError.phone}`}>
+                        <td className="px-3 py-2">{rowError.row}</td>
+                        <td className="px-3 py-2">{rowError.phone || '—'}</td>
+                        <td className="px-3 py-2 text-red-400">{rowError.error}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="mt-6 pt-6 border-t border-gray-700">
           <div className="flex items-center">
             <label className="flex items-center cursor-pointer">
@@ -441,6 +675,228 @@ const CampaignDetailPage: React.FC = () => {
             </label>
           </div>
         </div>
+
+        <div className="mt-6 pt-6 border-t border-gray-700">
+          <h3 className="text-sm font-medium mb-3">Caller Numbers</h3>
+          {callerPool.numbers.length === 0 ? (
+            <p className="text-sm text-gray-400">Add a Twilio number to place campaign calls.</p>
+          ) : (
+            <div className="space-y-2">
+              {callerPool.numbers.map(number => (
+                <div key={number.id} className="flex flex-wrap items-center gap-4">
+                  <label className="flex items-center text-sm cursor-pointer w-48">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={number.inPool}
+                      onChange={(e) => handleUpdateCallerNumber(number.id, { inPool: e.target.checked })}
+                    />
+                    {number.phoneNumber}
+                  </label>
+                  <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <span>Daily cap</span>
+                    <input
+                      type="number"
+                      min={1}
+                      value={number.dailyCallCap ?? ''}
+                      placeholder="None"
+                      onChange={(e) => handleUpdateCallerNumber(number.id, { dailyCallCap: e.target.value ? parseInt(e.target.value) : null })}
+                      className="w-24 bg-[#0F172A] border border-gray-700 rounded-md px-2 py-1 text-white"
+                    />
+                    <span>{number.callsToday} calls today</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="flex flex-col sm:flex-row sm:items-center gap-4 mt-4">
+            <select
+              value={callerPool.rotation}
+              onChange={(e) => setCallerPool({ ...callerPool, rotation: e.target.value as CampaignCallerPool['rotation'] })}
+              className="bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+            >
+              <option value="round_robin">Round robin</option>
+              <option value="least_used">Least used today</option>
+            </select>
+            <label className="flex items-center text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={callerPool.localPresence}
+                onChange={(e) => setCallerPool({ ...callerPool, localPresence: e.target.checked })}
+              />
+              Local presence (match the contact's area code)
+            </label>
+            <button
+              onClick={handleSaveCallerPool}
+              disabled={isSavingCallerPool}
+              className="btn-animate bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-600 font-medium py-2 px-4 rounded-lg transition"
+            >
+              {isSavingCallerPool ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            Calls rotate across the checked numbers. With none checked, the campaign's caller phone is used.
+            Daily caps apply to the number across all campaigns.
+          </p>
+        </div>
+
+        <div className="mt-6 pt-6 border-t border-gray-700">
+          <h3 className="text-sm font-medium mb-3">Simultaneous Calls</h3>
+          <div className="flex items-end gap-4">
+            <input
+              type="number"
+              min={1}
+              max={100}
+              value={maxConcurrentCalls}
+              onChange={(e) => setMaxConcurrentCalls(parseInt(e.target.value) || 1)}
+              className="w-24 bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+            />
+            <button
+              onClick={handleSaveConcurrency}
+              disabled={isSavingConcurrency}
+              className="btn-animate bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-600 font-medium py-2 px-4 rounded-lg transition"
+            >
+              {isSavingConcurrency ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            Calls this campaign places at once. Your account-wide limit, the caller number's capacity and your balance can hold it lower.
+          </p>
+        </div>
+
+        <div className="mt-6 pt-6 border-t border-gray-700">
+          <h3 className="text-sm font-medium mb-3">Retry Rules</h3>
+          <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Max attempts</label>
+              <input
+                type="number"
+                min={1}
+                max={10}
+                value={retryPolicy.maxAttempts}
+                onChange={(e) => setRetryPolicy({ ...retryPolicy, maxAttempts: parseInt(e.target.value) || 1 })}
+                className="w-24 bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Delay between attempts (minutes)</label>
+              <input
+                type="number"
+                min={0}
+                value={retryPolicy.retryDelayMinutes}
+                onChange={(e) => setRetryPolicy({ ...retryPolicy, retryDelayMinutes: parseInt(e.target.value) || 0 })}
+                className="w-32 bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+              />
+            </div>
+            <div className="flex flex-wrap gap-3">
+              {retryableStatuses.map(({ value, label }) => (
+                <label key={value} className="flex items-center text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={retryPolicy.retryStatuses.includes(value)}
+                    onChange={() => handleToggleRetryStatus(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={handleSaveRetryPolicy}
+              disabled={isSavingRetryPolicy}
+              className="btn-animate bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-600 font-medium py-2 px-4 rounded-lg transition"
+            >
+              {isSavingRetryPolicy ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            Contacts whose call ends with a checked outcome are called again after the delay, until they reach the max attempts.
+            The campaign completes once no retries remain.
+          </p>
+        </div>
+
+        <div className="mt-6 pt-6 border-t border-gray-700">
+          <h3 className="text-sm font-medium mb-3">Schedule & Calling Hours</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Start date (optional)</label>
+              <input
+                type="datetime-local"
+                value={toLocalInputValue(schedule.startAt)}
+                onChange={(e) => setSchedule({ ...schedule, startAt: e.target.value ? new Date(e.target.value).toISOString() : null })}
+                className="w-full bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">End date (optional)</label>
+              <input
+                type="datetime-local"
+                value={toLocalInputValue(schedule.endAt)}
+                onChange={(e) => setSchedule({ ...schedule, endAt: e.target.value ? new Date(e.target.value).toISOString() : null })}
+                className="w-full bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Calling hours</label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="time"
+                  value={schedule.window.start}
+                  onChange={(e) => setSchedule({ ...schedule, window: { ...schedule.window, start: e.target.value } })}
+                  className="bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+                />
+                <span className="text-gray-400">to</span>
+                <input
+                  type="time"
+                  value={schedule.window.end}
+                  onChange={(e) => setSchedule({ ...schedule, window: { ...schedule.window, end: e.target.value } })}
+                  className="bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Default timezone</label>
+              <select
+                value={schedule.timezone || ''}
+                onChange={(e) => setSchedule({ ...schedule, timezone: e.target.value || null })}
+                className="w-full bg-[#0F172A] border border-gray-700 rounded-md px-3 py-2"
+              >
+                <option value="">Agent's timezone</option>
+                {timezones.map(tz => (
+                  <option key={tz} value={tz}>{tz}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mt-4">
+            <div className="flex flex-wrap gap-3">
+              {weekdays.map(({ value, label }) => (
+                <label key={value} className="flex items-center text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={schedule.window.days.includes(value)}
+                    onChange={() => handleToggleCallingDay(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={handleSaveSchedule}
+              disabled={isSavingSchedule}
+              className="btn-animate bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-600 font-medium py-2 px-4 rounded-lg transition"
+            >
+              {isSavingSchedule ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">
+            Contacts are only called during these hours in their own timezone when known, otherwise in the default timezone.
+            Outside the window the campaign waits and resumes automatically.
+            An end time before the start time runs overnight; the same start and end time allows calls all day.
+          </p>
+        </div>
       </div>
 
       {/* Table Section */}
@@ -453,6 +909,7 @@ const CampaignDetailPage: React.FC = () => {
                   <tr>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Phone</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Call Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Disposition</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Retries</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Recording</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Created</th>
@@ -469,6 +926,12 @@ const CampaignDetailPage: React.FC = () => {
                           {record.callStatus.charAt(0).toUpperCase() + record.callStatus.slice(1)}
                         </span>
                       </td>
+                      <td
+                        className="px-6 py-4 whitespace-nowrap text-sm text-gray-400"
+                        title={record.outcome ? Object.entries(record.outcome).map(([key, value]) => `${key}: ${value ?? '—'}`).join('\n') : undefined}
+                      >
+                        {record.disposition ? record.disposition.replace('_', ' ') : '—'}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">
                         {record.retries || 0}
                       </td>
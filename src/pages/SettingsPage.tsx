@@ -1,7 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Header from '../components/Header';
-import { AppSettings } from '../types';
+import { AppSettings, DncEntry } from '../types';
 import { useAuth } from '../contexts/AuthContext';
+import * as api from '../utils/api';
+import { PHONE_COUNTRIES } from '../constants';
 
 interface SettingsPageProps {
   theme: string;
@@ -36,6 +38,81 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ theme, toggleTheme }) => {
     });
     
     const [saveStatus, setSaveStatus] = useState('');
+    const [dncNumbers, setDncNumbers] = useState<DncEntry[]>([]);
+    const [newDncNumber, setNewDncNumber] = useState('');
+    const [dncCountry, setDncCountry] = useState('US');
+    const [dncStatus, setDncStatus] = useState('');
+
+    const loadDncList = async () => {
+        if (!user?.id) return;
+        try {
+            const result = await api.fetchDncList(user.id);
+            if (result.success) {
+                setDncNumbers(result.data);
+            }
+        } catch (error) {
+            console.error("Failed to load Do-Not-Call list", error);
+        }
+    };
+
+    useEffect(() => {
+        loadDncList();
+    }, [user?.id]);
+
+    const showDncStatus = (message: string) => {
+        setDncStatus(message);
+        setTimeout(() => setDncStatus(''), 4000);
+    };
+
+    const handleAddDncNumber = async () => {
+        if (!user?.id || !newDncNumber.trim()) return;
+        try {
+            const result = await api.addDncNumber(user.id, newDncNumber.trim(), dncCountry);
+            showDncStatus(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+            if (result.success) {
+                setNewDncNumber('');
+                loadDncList();
+            }
+        } catch (error: any) {
+            showDncStatus(`❌ ${error.message}`);
+        }
+    };
+
+    const handleImportDncFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!user?.id || !file) return;
+
+        // One number per line or comma separated; header rows and other columns are ignored
+        const phones = (await file.text())
+            .split(/[\r\n,;]+/)
+            .map(value => value.replace(/["']/g, '').trim())
+            .filter(value => /\d{7,}/.test(value.replace(/\D/g, '')));
+
+        if (phones.length === 0) {
+            showDncStatus('❌ No phone numbers found in file.');
+            return;
+        }
+
+        try {
+            const result = await api.importDncNumbers(user.id, phones, dncCountry);
+            const { added, duplicates, invalid } = result.data;
+            showDncStatus(`✅ Imported ${added} numbers (${duplicates} already listed, ${invalid.length} invalid).`);
+            loadDncList();
+        } catch (error: any) {
+            showDncStatus(`❌ ${error.message}`);
+        }
+    };
+
+    const handleRemoveDncNumber = async (id: string) => {
+        if (!user?.id) return;
+        try {
+            await api.removeDncNumber(user.id, id);
+            setDncNumbers(prev => prev.filter(entry => entry.id !== id));
+        } catch (error: any) {
+            showDncStatus(`❌ ${error.message}`);
+        }
+    };
 
     const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
         const { name, value } = e.target;
@@ -180,6 +257,56 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ theme, toggleTheme }) => {
                         </div>
                     </form>
                  </div>
+
+                 <div className="mt-6 bg-white dark:bg-darkbg-light p-4 sm:p-6 md:p-8 rounded-lg shadow-md card-animate">
+                    <h2 className="text-lg font-semibold mb-1 text-slate-800 dark:text-white">Do-Not-Call List</h2>
+                    <p className="text-sm text-slate-500 dark:text-slate-400 mb-4">
+                        Campaigns skip these numbers. Agents with Do-Not-Call detection add callers who ask not to be called again.
+                    </p>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                        <input
+                            type="tel"
+                            value={newDncNumber}
+                            onChange={e => setNewDncNumber(e.target.value)}
+                            placeholder="+15551234567"
+                            className="input-animate flex-1 px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                        />
+                        <select
+                            value={dncCountry}
+                            onChange={e => setDncCountry(e.target.value)}
+                            title="Country for numbers without a country code"
+                            className="input-animate px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                        >
+                            {PHONE_COUNTRIES.map(country => (
+                                <option key={country.value} value={country.value}>{country.label}</option>
+                            ))}
+                        </select>
+                        <button type="button" onClick={handleAddDncNumber} className="btn-animate bg-primary hover:bg-primary-dark text-white font-bold py-2 px-4 rounded-lg transition">Add</button>
+                        <label className="btn-animate cursor-pointer text-center border border-slate-300 dark:border-slate-600 font-semibold py-2 px-4 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 transition">
+                            Import CSV
+                            <input type="file" accept=".csv,.txt" onChange={handleImportDncFile} className="hidden" />
+                        </label>
+                    </div>
+                    {dncStatus && (
+                        <p className={`mt-2 text-sm font-medium ${dncStatus.includes('❌') ? 'text-red-500' : 'text-green-500'}`}>{dncStatus}</p>
+                    )}
+                    <ul className="mt-4 divide-y divide-slate-200 dark:divide-slate-700 max-h-80 overflow-y-auto">
+                        {dncNumbers.length === 0 && (
+                            <li className="py-3 text-sm text-slate-500 dark:text-slate-400">No numbers on the list.</li>
+                        )}
+                        {dncNumbers.map(entry => (
+                            <li key={entry.id} className="py-2 flex items-center justify-between">
+                                <div>
+                                    <span className="font-medium">{entry.phone}</span>
+                                    <span className="ml-2 text-xs text-slate-500 dark:text-slate-400">
+                                        {entry.source === 'call' ? 'Requested during call' : entry.source} · {new Date(entry.created_at).toLocaleDateString()}
+                                    </span>
+                                </div>
+                                <button type="button" onClick={() => handleRemoveDncNumber(entry.id)} className="text-sm text-red-500 hover:underline">Remove</button>
+                            </li>
+                        ))}
+                    </ul>
+                 </div>
             </div>
         </>
     );
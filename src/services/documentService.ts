@@ -7,6 +7,8 @@ interface Document {
   name: string;
   uploadedAt: string;
   agentId?: string;
+  version?: number;
+  format?: string;
 }
 
 interface DocumentContent {
@@ -23,13 +25,14 @@ export class DocumentService {
   }
 
   /**
-   * Upload a document
+   * Upload a document. The server extracts text from PDF, DOCX, HTML and Markdown files.
    * @param userId The ID of the user
    * @param file The file to upload
    * @param agentId Optional agent ID to associate with the document
+   * @param documentId Optional ID of an existing document to replace with a new version
    * @returns The uploaded document
    */
-  async uploadDocument(userId: string, file: File, agentId?: string): Promise<Document> {
+  async uploadDocument(userId: string, file: File, agentId?: string, documentId?: string): Promise<Document> {
     try {
       // Validate inputs
       if (!userId || userId.trim() === '') {
@@ -40,32 +43,26 @@ export class DocumentService {
         throw new Error('File is required');
       }
       
-      // Check file size (limit to 10MB)
-      const maxSize = 10 * 1024 * 1024; // 10MB in bytes
+      // Check file size (limit to 20MB)
+      const maxSize = 20 * 1024 * 1024; // 20MB in bytes
       if (file.size > maxSize) {
-        throw new Error(`File size exceeds limit of 10MB. Current file size: ${(file.size / (1024 * 1024)).toFixed(2)}MB`);
+        throw new Error(`File size exceeds limit of 20MB. Current file size: ${(file.size / (1024 * 1024)).toFixed(2)}MB`);
       }
       
-      console.log('Uploading document with userId:', userId, 'fileName:', file.name, 'fileSize:', file.size, 'agentId:', agentId);
-      
-      // Read file content as text
-      const content = await file.text();
-      
-      // Check content length (limit to 5MB of text)
-      const maxContentLength = 5 * 1024 * 1024; // 5MB in characters
-      if (content.length > maxContentLength) {
-        throw new Error(`File content exceeds limit of 5MB. Current content length: ${(content.length / (1024 * 1024)).toFixed(2)}MB`);
-      }
+      console.log('Uploading document with userId:', userId, 'fileName:', file.name, 'fileSize:', file.size, 'agentId:', agentId, 'documentId:', documentId);
       
+      const formData = new FormData();
+      formData.append('userId', userId);
+      if (agentId) formData.append('agentId', agentId);
+      if (documentId) formData.append('documentId', documentId);
+      formData.append('files', file);
+
+      // Let the browser set the multipart Content-Type with its boundary
+      const token = getAuthToken();
       const response = await fetch(`${API_BASE_URL}/documents/upload`, {
         method: 'POST',
-        headers: await this.getHeaders(),
-        body: JSON.stringify({
-          userId,
-          agentId,
-          name: file.name,
-          content
-        })
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+        body: formData
       });
 
       // Check if response is JSON
@@ -82,7 +79,9 @@ export class DocumentService {
         let errorMessage = `Failed to upload document: ${response.status} ${response.statusText}`;
         try {
           const errorData = await response.json();
-          errorMessage = errorData.message || errorMessage;
+          // Extraction failures are reported per file
+          const fileError = errorData.data?.files?.find((f: any) => !f.success);
+          errorMessage = fileError ? `${fileError.name}: ${fileError.error}` : (errorData.message || errorMessage);
         } catch (e) {
           // If we can't parse the error response, use the generic message
         }
@@ -90,12 +89,18 @@ export class DocumentService {
       }
 
       const data = await response.json();
-      console.log('Upload successful:', data);
+      const result = data.data.files[0];
+      if (!result.success) {
+        throw new Error(`${result.name}: ${result.error}`);
+      }
+      console.log('Upload successful:', result);
       
       return {
-        id: data.data.id,
-        name: data.data.name,
-        uploadedAt: new Date().toISOString()
+        id: result.id,
+        name: result.name,
+        uploadedAt: new Date().toISOString(),
+        version: result.version,
+        format: result.format
       };
     } catch (error) {
       console.error('Error uploading document:', error);
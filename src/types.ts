@@ -34,10 +34,62 @@ export interface CampaignRecord {
     id: string;
     campaignId: string;
     phone: string;
-    callStatus: 'pending' | 'in-progress' | 'completed' | 'failed';
+    callStatus: 'pending' | 'calling' | 'in-progress' | 'completed' | 'failed' | 'busy' | 'no-answer' | 'canceled' | 'voicemail' | 'dnc';
+    attempts?: number;
+    next_attempt_at?: string | null; // Set while the contact is waiting to be retried
+    disposition?: CallDisposition | null; // Extracted from the transcript after the call
+    outcome?: Record<string, string | number | boolean | null> | null;
     createdAt: string; // ISO string
 }
 
+export type CallDisposition = 'converted' | 'not_interested' | 'callback' | 'wrong_number' | 'other';
+
+export type RetryableCallStatus = 'busy' | 'no-answer' | 'failed' | 'canceled' | 'voicemail';
+
+export interface CampaignSchedule {
+    startAt: string | null; // ISO string, calls wait until then
+    endAt: string | null; // ISO string, the campaign completes then
+    window: {
+        start: string; // HH:MM in the contact's timezone
+        end: string;
+        days: number[]; // ISO weekdays, 1 = Monday
+    };
+    timezone: string | null; // Used for contacts without a timezone, falls back to the agent's
+}
+
+export interface CampaignCallerPool {
+    numbers: {
+        id: string;
+        phoneNumber: string;
+        inPool: boolean;
+        dailyCallCap: number | null; // Shared by every campaign using the number
+        callsToday: number;
+    }[];
+    rotation: 'round_robin' | 'least_used';
+    localPresence: boolean; // Prefer numbers matching the contact's country and area code
+}
+
+export interface CampaignRetryPolicy {
+    maxAttempts: number; // Total dial attempts per contact, including the first
+    retryDelayMinutes: number;
+    retryStatuses: RetryableCallStatus[];
+}
+
+export interface CampaignImportReport {
+    imported: number;
+    skipped: number;
+    errors: { row: number; phone: string; error: string }[]; // row counts the header as row 1
+    columns: { header: string; target: string }[]; // target is phone, name, timezone or a {{variable}} name
+}
+
+export interface DncEntry {
+    id: string;
+    phone: string;
+    source: 'manual' | 'import' | 'call';
+    reason?: string | null;
+    created_at: string;
+}
+
 export enum VoiceAgentStatus {
     Active = 'Active',
     Inactive = 'Inactive',
@@ -66,29 +118,62 @@ export interface ToolHeader {
     value: string;
 }
 
+export type WebhookAuthType = 'none' | 'bearer' | 'hmac';
+
+export interface WebhookAuth {
+    type: WebhookAuthType;
+    token?: string; // Sent as "Authorization: Bearer <token>"
+    secret?: string; // Signs "<timestamp>.<body>" with HMAC-SHA256, like end-of-call webhooks
+}
+
+// A value read from a webhook's JSON response and given to the agent to speak
+export interface ToolResponseField {
+    name: string;
+    path: string; // JSONPath-style, e.g. $.data.items[0].status
+}
+
 export interface Tool {
     id: string;
     name: string;
     description: string;
     type: ToolType;
     webhookUrl?: string;
-    method?: 'GET' | 'POST';
+    method?: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
     runAfterCall?: boolean;
     preActionPhrasesMode: PreActionPhraseMode;
     preActionPhrases: string[];
     parameters?: ToolParameter[];
     headers?: ToolHeader[];
+    auth?: WebhookAuth;
+    bodyTemplate?: string; // JSON with {{parameter}} placeholders; defaults to the collected parameters
+    timeoutSeconds?: number;
+    responseFields?: ToolResponseField[];
 }
 
 
+// A value extracted from each call's transcript after it ends
+export interface OutcomeField {
+    name: string; // Letters, digits and underscores, e.g. callback_time
+    type: 'boolean' | 'string' | 'number' | 'datetime' | 'enum';
+    description: string; // Tells the LLM what to look for
+    options?: string[]; // Allowed values when type is 'enum'
+}
+
 export interface VoiceAgentSettings {
     userStartsFirst: boolean;
     greetingLine: string;
     responseDelay: boolean;
     inactivityHandling: boolean;
+    inactivityTimeout?: number; // Seconds of silence before the agent nudges the user
+    inactivityPrompt?: string;
+    inactivityMaxPrompts?: number; // Unanswered nudges before the agent hangs up
     agentCanTerminateCall: boolean;
     voicemailDetection: boolean;
+    voicemailAction?: 'hangup' | 'leave_message' | 'retry';
+    voicemailMessage?: string; // Spoken after the beep when voicemailAction is 'leave_message'
     callTransfer: boolean;
+    transferNumber?: string; // E.164 number or sip: address of the human agent
+    transferMessage?: string; // Said to the caller before the transfer
     dtmfDial: boolean;
     agentTimezone: string;
     voiceDetectionConfidenceThreshold: number;
@@ -102,10 +187,12 @@ export interface VoiceAgentSettings {
     doNotCallDetection: boolean;
     prefetchDataWebhook: string;
     endOfCallWebhook: string;
+    webhookSecret?: string; // HMAC key used to sign outgoing webhooks
     dataCollectionSheetUrl?: string; // Google Sheets URL for automatic data collection
     preActionPhrases: string[]; // For knowledge base
     tools: Tool[];
     knowledgeDocIds?: string[];
+    outcomeFields?: OutcomeField[];
 }
 
 
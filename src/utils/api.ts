@@ -1,3 +1,5 @@
+import { CampaignCallerPool, CampaignRetryPolicy, CampaignSchedule } from '../types';
+
 export const getApiBaseUrl = () => {
   // Use local server in development, production server in production
   if (import.meta.env.DEV) {
@@ -72,11 +74,90 @@ export const setCallerPhone = async (id: string, userId: string, callerPhone: st
   return response.json();
 };
 
-export const importRecords = async (id: string, userId: string, csvData: any[]) => {
+export const updateRetryPolicy = async (id: string, userId: string, retryPolicy: CampaignRetryPolicy) => {
+  const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/retry-policy`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, ...retryPolicy })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+export const updateCallerPool = async (id: string, userId: string, callerPool: CampaignCallerPool) => {
+  const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/caller-numbers`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      userId,
+      phoneNumberIds: callerPool.numbers.filter(n => n.inPool).map(n => n.id),
+      rotation: callerPool.rotation,
+      localPresence: callerPool.localPresence,
+      dailyCaps: Object.fromEntries(callerPool.numbers.map(n => [n.id, n.dailyCallCap]))
+    })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+export const updateCampaignConcurrency = async (id: string, userId: string, maxConcurrentCalls: number) => {
+  const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/concurrency`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, maxConcurrentCalls })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+export const updateCampaignSchedule = async (id: string, userId: string, schedule: CampaignSchedule) => {
+  const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/schedule`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, ...schedule })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+// Upload a CSV or Excel file of contacts; numbers without a country code use defaultCountry
+export const importRecords = async (id: string, userId: string, file: File, defaultCountry: string) => {
+  const formData = new FormData();
+  formData.append('userId', userId);
+  formData.append('defaultCountry', defaultCountry);
+  formData.append('file', file);
+
   const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/import`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ userId, csvData })
+    body: formData
   });
   if (!response.ok) {
     throw new Error(`HTTP error! status: ${response.status}`);
@@ -168,4 +249,64 @@ export const fetchRecords = async (id: string, page: number = 1, limit: number =
     throw new Error('Received non-JSON response from server');
   }
   return response.json();
-};
\ No newline at end of file
+};
+export const fetchDncList = async (userId: string, search?: string) => {
+  const query = search ? `&search=${encodeURIComponent(search)}` : '';
+  const response = await fetch(`${getApiBaseUrl()}/dnc?userId=${userId}${query}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+// Numbers without a country code use defaultCountry (ISO code)
+export const addDncNumber = async (userId: string, phone: string, defaultCountry: string, reason?: string) => {
+  const response = await fetch(`${getApiBaseUrl()}/dnc`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, phone, defaultCountry, reason })
+  });
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+export const importDncNumbers = async (userId: string, phones: string[], defaultCountry: string) => {
+  const response = await fetch(`${getApiBaseUrl()}/dnc/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, phones, defaultCountry })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+export const removeDncNumber = async (userId: string, id: string) => {
+  const response = await fetch(`${getApiBaseUrl()}/dnc/${id}?userId=${userId}`, {
+    method: 'DELETE'
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};